@@ -0,0 +1,44 @@
+// Keeps the entries of the import queue. Nothing here imports SillyTavern, so the queue rules can be tested on their own.
+
+// Possible states of an entry in the import queue
+export const IMPORT_STATUS = {
+    PENDING: 'pending',
+    IMPORTING: 'importing',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+/**
+ * Adds a character or lorebook to the import queue as pending.
+ * An entry that is already waiting or importing is ignored. A finished or failed one is queued again with the
+ * details of the new entry, so e.g. replacing a character that was imported as a copy earlier really replaces it.
+ * @param {Array<Object>} queue - The import queue, changed in place.
+ * @param {{fullPath: string, name?: string, namespace?: string, id?: number, replaceAvatar?: string, lastActivityAt?: string}} entry - The content to import.
+ * @returns {boolean} - Whether the entry was queued.
+ */
+export function addToImportQueue(queue, entry) {
+    if (!entry || !entry.fullPath) return false;
+
+    const existing = queue.find(item => item.fullPath === entry.fullPath);
+    if (existing && (existing.status === IMPORT_STATUS.PENDING || existing.status === IMPORT_STATUS.IMPORTING)) {
+        return false;
+    }
+
+    const item = {
+        fullPath: entry.fullPath,
+        name: entry.name || existing?.name || entry.fullPath,
+        namespace: entry.namespace || existing?.namespace || 'characters',
+        id: entry.id ?? existing?.id ?? null,
+        replaceAvatar: entry.replaceAvatar || null,
+        lastActivityAt: entry.lastActivityAt || null,
+        status: IMPORT_STATUS.PENDING,
+        error: null,
+    };
+
+    if (existing) {
+        Object.assign(existing, item);
+    } else {
+        queue.push(item);
+    }
+    return true;
+}
@@ -1,27 +1,171 @@
 // An extension that allows you to import characters from CHub.
-// TODO: allow multiple characters to be imported at once
 import {
     getRequestHeaders,
     processDroppedFiles,
-    callPopup
+    callPopup,
+    saveSettingsDebounced,
+    selectCharacterById,
+    characters
 } from "../../../../script.js";
-import { debounce } from "../../../utils.js";
-import { extension_settings } from "../../../extensions.js";
+import { debounce, escapeHtml, download } from "../../../utils.js";
+import { extension_settings, writeExtensionField } from "../../../extensions.js";
+import { importWorldInfo } from "../../../world-info.js";
+import { tags as sillyTavernTags, createNewTag, addTagsToEntity } from "../../../tags.js";
+import { Popup, POPUP_TYPE, POPUP_RESULT } from "../../../popup.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from "../../../slash-commands/SlashCommandArgument.js";
+import { CONTENT_NAMESPACES, createElement, sanitizeImageUrl, generateCharacterListItem } from "./render.js";
+import { IMPORT_STATUS, addToImportQueue } from "./import-queue.js";
 
 const extensionName = "SillyTavern-Chub-Search";
 
-// Endpoint for API call
-const API_ENDPOINT_SEARCH = "https://gateway.chub.ai/search";
+// Default endpoints, both can be changed in the settings when CHUB moves or a mirror is used
+const DEFAULT_API_BASE_URL = "https://gateway.chub.ai";
+const DEFAULT_AVATAR_BASE_URL = "https://avatars.charhub.io/avatars";
+
+// Layouts of the result list, and the thumbnail sizes they can be shown at
+const VIEW_MODES = {
+    "list": { name: "List", icon: "fa-list" },
+    "grid": { name: "Grid", icon: "fa-table-cells" },
+};
+const VIEW_DENSITIES = {
+    "compact": "Compact",
+    "normal": "Normal",
+    "large": "Large",
+};
+
+// How results flagged NSFW or carrying a sensitive tag are shown
+const SENSITIVE_DISPLAY = {
+    "blur": "Blur until clicked",
+    "hide": "Hide",
+    "show": "Show",
+};
+
+// How far back the followed authors feed looks the first time it's opened
+const FOLLOWED_FEED_DEFAULT_DAYS = 7;
+
+// Sort orders offered by the gateway, with their readable names
+const SORT_OPTIONS = {
+    "download_count": "Download Count",
+    "id": "ID",
+    "rating": "Rating",
+    "default": "Default",
+    "rating_count": "Rating Count",
+    "last_activity_at": "Last Activity",
+    "trending_downloads": "Trending Downloads",
+    "created_at": "Creation Date",
+    "name": "Name",
+    "n_tokens": "Token Count",
+    "random": "Random"
+};
+
+// Node fields a JSON card index is sorted by, for each gateway sort order
+const LOCAL_INDEX_SORT_FIELDS = {
+    "download_count": "starCount",
+    "trending_downloads": "starCount",
+    "id": "id",
+    "rating": "rating",
+    "rating_count": "ratingCount",
+    "last_activity_at": "lastActivityAt",
+    "created_at": "createdAt",
+    "name": "name",
+    "n_tokens": "nTokens",
+};
 
 const defaultSettings = {
     findCount: 10,
     nsfw: false,
+    defaultSort: 'download_count',
+    sortAscending: false,
+    includeForks: true,
+    requireImages: false,
+    requireCustomPrompt: false,
+    importConcurrency: 2,
+    importQueue: [],
+    importedCards: {},
+    favorites: [],
+    savedSearches: [],
+    searchHistory: [],
+    blockedTags: [],
+    blockedAuthors: [],
+    cacheTtlMinutes: 60,
+    cacheMaxSizeMb: 50,
+    apiBaseUrl: DEFAULT_API_BASE_URL,
+    avatarBaseUrl: DEFAULT_AVATAR_BASE_URL,
+    searchProvider: 'chub',
+    localIndexUrl: '',
+    applyImportTags: false,
+    importTagMapping: {},
+    importTagIgnore: [],
+    recordImportSource: true,
+    openAfterImport: false,
+    followedAuthors: [],
+    followedSeenAt: null,
+    viewMode: 'list',
+    viewDensity: 'normal',
+    infiniteScroll: false,
+    popupState: null,
+    sensitiveDisplay: 'blur',
+    sensitiveTags: ['NSFW', 'NSFL', 'Gore', 'Violence', 'Abuse', 'Self-harm'],
+};
+
+// How many recent searches are remembered
+const SEARCH_HISTORY_LIMIT = 20;
+
+// IndexedDB database holding cached search responses and avatars
+const CACHE_DB_NAME = "SillyTavern-Chub-Search";
+const CACHE_STORE_NAME = "cache";
+// Share of the size cap a full cache is trimmed down to, so it isn't trimmed again on the next write
+const CACHE_EVICTION_TARGET = 0.8;
+
+// Why a search failed, each shown differently in the result list
+const SEARCH_FAILURE = {
+    RATE_LIMITED: 'rate-limited',
+    OFFLINE: 'offline',
+    SERVER: 'server',
+    ERROR: 'error',
+};
+
+// How many gateway lookups run at once when many cards or authors are looked up in a row
+const GATEWAY_BATCH_SIZE = 5;
+
+// Retries of rate limited (429) and failed (5xx) gateway requests, with exponential backoff
+const RETRY_LIMIT = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// What to do when an imported character is already in the local library
+const DUPLICATE_ACTION = {
+    SKIP: 'skip',
+    COPY: 'copy',
+    REPLACE: 'replace',
 };
 
 let chubCharacters = [];
+let favoriteCharacters = [];  // Favorites turned into result objects while the favorites tab is shown
+let followedCharacters = [];  // New cards of followed authors, while the followed tab is shown
+let activeTab = 'search';
+let knownTags = new Map();  // tag name -> usage count, used for tag autocomplete
+let knownTagsLoaded = false;
+let selectedCharacters = new Map();  // fullPath -> { fullPath, name, namespace } of the rows ticked for batch import
+let importQueue = [];
+let activeImports = 0;
+let importBatch = null;  // Counters for the batch currently running, used for the summary toast
+let characterImportQueue = Promise.resolve();  // Settles once the last queued character import is done
+let avatarObserver = null;
+let cacheDbPromise = null;
+let cacheSize = null;  // Total size of the cache entries, counted on the first write of the session and kept up to date after that
+let avatarObjectUrls = new Set();  // Object URLs of loaded avatars, revoked when the results are replaced
+let searchProviders = new Map();  // provider id -> search provider, see registerSearchProvider
+let crc32Table = null;  // Built on the first ZIP bundle
+let lightbox = null;  // { element, index, onKeyDown } of the open image lightbox
+let searchController = null;  // Aborts the search in flight when a newer one starts
+let avatarController = new AbortController();  // Aborts the avatar fetches of the results when they are replaced
+let lastSearchOptions = null;  // Options of the latest search, repeated by the retry button of a failed search
+let restoringPages = false;  // Keeps infinite scroll from loading pages while the popup restore loads them itself
+let pagination = { page: 1, count: null, approximate: false, hasMore: false, loading: false };  // Paging state of the search results
 let characterListContainer = null;  // A global variable to hold the reference
-let popupState = null;
-let savedPopupContent = null;
 
 
 /**
@@ -42,41 +186,207 @@ async function loadSettings() {
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (!extension_settings.chub.hasOwnProperty(key)) {
             console.log(`Setting default for: ${key}`);
-            extension_settings.chub[key] = value;
+            extension_settings.chub[key] = structuredClone(value);
+        }
+    }
+
+}
+
+/**
+ * Opens the cache database, creating its object store on first use.
+ * @returns {Promise<IDBDatabase>} - Resolves with the opened database.
+ */
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+                store.createIndex('accessedAt', 'accessedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow retrying on the next call if the database couldn't be opened
+        cacheDbPromise.catch(() => cacheDbPromise = null);
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * Runs a request against the cache store and resolves with its result.
+ * @param {IDBTransactionMode} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} callback - Creates the request from the store.
+ * @returns {Promise<any>} - Resolves with the result of the request once the transaction completes.
+ */
+async function withCacheStore(mode, callback) {
+    const db = await openCacheDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE_NAME, mode);
+        const request = callback(transaction.objectStore(CACHE_STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads an entry from the cache. Expired entries are removed and treated as missing.
+ * @param {string} key - The cache key, usually the request URL.
+ * @returns {Promise<any>} - Resolves with the cached value, or null if there is no fresh entry.
+ */
+async function cacheGet(key) {
+    const ttl = Number(extension_settings.chub.cacheTtlMinutes) * 60 * 1000;
+    if (!(ttl > 0)) return null;
+
+    try {
+        const entry = await withCacheStore('readonly', store => store.get(key));
+        if (!entry) return null;
+
+        if (Date.now() - entry.storedAt > ttl) {
+            await withCacheStore('readwrite', store => store.delete(key));
+            if (cacheSize !== null) cacheSize -= entry.size || 0;
+            return null;
+        }
+
+        entry.accessedAt = Date.now();
+        await withCacheStore('readwrite', store => store.put(entry));
+        return entry.value;
+    } catch (error) {
+        console.error('Error reading from cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Stores an entry in the cache and evicts the least recently used entries once the size cap is exceeded.
+ * @param {string} key - The cache key, usually the request URL.
+ * @param {any} value - The value to store. Blobs are stored as-is.
+ * @returns {Promise<void>} - Resolves once the entry has been stored.
+ */
+async function cachePut(key, value) {
+    if (!(Number(extension_settings.chub.cacheTtlMinutes) > 0)) return;
+
+    const size = value instanceof Blob ? value.size : JSON.stringify(value).length;
+    const now = Date.now();
+
+    try {
+        const previous = await withCacheStore('readwrite', store => {
+            const request = store.get(key);
+            request.onsuccess = () => store.put({ key, value, size, storedAt: now, accessedAt: now });
+            return request;
+        });
+
+        if (cacheSize !== null) cacheSize += size - (previous?.size || 0);
+        if (cacheSize === null || cacheSize > Number(extension_settings.chub.cacheMaxSizeMb) * 1024 * 1024) {
+            await evictCacheEntries();
         }
+    } catch (error) {
+        console.error('Error writing to cache:', error);
     }
+}
+
+/**
+ * Counts the size of the cache and, if it exceeds the configured size cap, deletes the least recently used
+ * entries until it's down to `CACHE_EVICTION_TARGET` of the cap. This reads the whole store, so it only runs
+ * on the first write of the session and when the running total goes over the cap.
+ * @returns {Promise<void>} - Resolves once enough entries have been removed.
+ */
+async function evictCacheEntries() {
+    const maxSize = Number(extension_settings.chub.cacheMaxSizeMb) * 1024 * 1024;
+    const db = await openCacheDb();
+    let kept = 0;
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+        const index = transaction.objectStore(CACHE_STORE_NAME).index('accessedAt');
+        const entries = [];
+
+        // Collect sizes from newest to oldest, then drop everything past the cap
+        index.openCursor(null, 'prev').onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                entries.push({ key: cursor.value.key, size: cursor.value.size || 0 });
+                cursor.continue();
+                return;
+            }
+
+            const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            const limit = total > maxSize ? maxSize * CACHE_EVICTION_TARGET : maxSize;
+            let full = false;
+            for (const entry of entries) {
+                full = full || kept + entry.size > limit;
+                if (full) {
+                    transaction.objectStore(CACHE_STORE_NAME).delete(entry.key);
+                } else {
+                    kept += entry.size;
+                }
+            }
+        };
+
+        transaction.oncomplete = () => {
+            cacheSize = kept;
+            resolve();
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Removes every entry from the cache.
+ * @returns {Promise<void>} - Resolves once the cache is empty.
+ */
+async function clearCache() {
+    await withCacheStore('readwrite', store => store.clear());
+    cacheSize = 0;
+}
 
+/**
+ * Builds the chub.ai page URL of a character or lorebook.
+ * @param {string} fullPath - The full path of the content (e.g., "user/character-name").
+ * @param {string} [namespace='characters'] - The gateway namespace of the content.
+ * @returns {string} - The URL of the content page.
+ */
+function getContentPageUrl(fullPath, namespace = 'characters') {
+    return `https://www.chub.ai/${namespace}/${fullPath}`;
 }
 
 /**
- * Downloads a custom character based on the provided fullPath.
+ * Requests a custom character or lorebook from the importer endpoint and wraps the response into a File.
  * @param {string} fullPath - The full path of the character from search results (e.g., "user/character-name")
- * @returns {Promise<void>} - Resolves once the character has been processed or if an error occurs.
+ * @param {string} [namespace='characters'] - The gateway namespace of the content ("characters" or "lorebooks").
+ * @returns {Promise<{file: File, contentType: string}>} - Resolves with the downloaded file and its custom content type.
+ * @throws {Error} - If the request fails or the response is malformed. HTTP failures carry a `status` property.
  */
-async function downloadCharacter(fullPath) {
-    console.debug('Custom content import started', fullPath);
+async function fetchCharacterFile(fullPath, namespace = 'characters') {
     let request = null;
-    
+
     try {
-        // Send the fullPath directly to the /importUUID endpoint
-        request = await fetch('/api/content/importUUID', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ "url": fullPath }),
-        });
+        if (namespace === 'lorebooks') {
+            // Lorebooks are resolved by SillyTavern's URL importer from their page URL
+            request = await fetch('/api/content/importURL', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ "url": getContentPageUrl(fullPath, namespace) }),
+            });
+        } else {
+            // Send the fullPath directly to the /importUUID endpoint
+            request = await fetch('/api/content/importUUID', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ "url": fullPath }),
+            });
+        }
     } catch (error) {
         console.error('Network error during character import:', error);
-        toastr.error('Network error during character import');
-        return;
+        throw new Error('Network error during character import');
     }
 
     if (!request.ok) {
-        // Construct the character page URL for fallback
-        const fallbackUrl = `https://www.chub.ai/characters/${fullPath}`;
-        
-        toastr.info("Click to go to the character page", 'Custom content import failed', {onclick: () => window.open(fallbackUrl, '_blank') });
         console.error('Custom content import failed', request.status, request.statusText);
-        return;
+        const error = new Error(`Import failed: ${request.status} ${request.statusText}`);
+        error.status = request.status;
+        throw error;
     }
 
     let data;
@@ -84,336 +394,2665 @@ async function downloadCharacter(fullPath) {
         data = await request.blob();
     } catch (error) {
         console.error('Error reading response data:', error);
-        toastr.error('Failed to process character data');
-        return;
+        throw new Error('Failed to process character data');
     }
-    
-    const customContentType = request.headers.get('X-Custom-Content-Type');
+
+    const contentType = request.headers.get('X-Custom-Content-Type');
     const contentDisposition = request.headers.get('Content-Disposition');
-    
+
     if (!contentDisposition || !contentDisposition.includes('filename=')) {
         console.error('Missing or invalid Content-Disposition header');
-        toastr.error('Invalid response from server');
-        return;
+        throw new Error('Invalid response from server');
     }
-    
+
     const fileName = contentDisposition.split('filename=')[1].replace(/"/g, '');
     const file = new File([data], fileName, { type: data.type });
 
-    switch (customContentType) {
-        case 'character':
-            processDroppedFiles([file]);
-            break;
+    return { file, contentType };
+}
+
+/**
+ * Hands a downloaded file over to SillyTavern according to its custom content type.
+ * @param {File} file - The downloaded card file.
+ * @param {string} contentType - The value of the `X-Custom-Content-Type` response header.
+ * @param {Object} [options] - Import options.
+ * @param {string} [options.replaceAvatar] - Avatar file name of a local character to overwrite instead of adding a new one.
+ * @returns {Promise<string|null>} - Resolves with the avatar file name of the imported character, or null for other content.
+ * @throws {Error} - If the content type is not supported.
+ */
+async function importContentFile(file, contentType, { replaceAvatar = null } = {}) {
+    switch (contentType) {
+        case 'character': {
+            const knownAvatars = new Set(characters.map(character => character.avatar));
+            await processDroppedFiles([file], replaceAvatar ? new Map([[file, replaceAvatar]]) : new Map());
+            const imported = replaceAvatar
+                ? characters.find(character => character.avatar === replaceAvatar)
+                : characters.find(character => !knownAvatars.has(character.avatar));
+            return imported?.avatar ?? null;
+        }
+        case 'lorebook':
+            await importWorldInfo(file);
+            return null;
         default:
-            toastr.warning('Unknown content type');
-            console.error('Unknown content type', customContentType);
-            break;
+            console.error('Unknown content type', contentType);
+            throw new Error('Unknown content type');
     }
 }
 
 /**
- * Updates the character list in the view based on provided characters.
- * @param {Array} characters - A list of character data objects to be rendered in the view.
+ * Finds a character of the local library that matches a search result.
+ * Characters are matched by the CHUB full path or id stored in their card, then by name and creator.
+ * @param {Object} result - The search result, with `fullPath`, `id`, `name` and `author`.
+ * @returns {Object|null} - The matching local character, or null if there is none.
  */
-function updateCharacterListInView(characters) {
-    if (characterListContainer) {
-        characterListContainer.innerHTML = characters.map(generateCharacterListItem).join('');
+function findLibraryCharacter({ fullPath, id, name, author }) {
+    const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+    const bySource = characters.find(character => {
+        const source = character?.data?.extensions?.chub;
+        if (!source) return false;
+        return (fullPath && normalize(source.full_path) === normalize(fullPath)) || (id && source.id === id);
+    });
+    if (bySource) return bySource;
+
+    if (!name || !author) return null;
+
+    return characters.find(character =>
+        normalize(character.name) === normalize(name) &&
+        normalize(character?.data?.creator) === normalize(author)
+    ) || null;
+}
+
+/**
+ * Asks what to do with characters that are already in the local library.
+ * @param {string} message - The question shown to the user.
+ * @returns {Promise<string>} - Resolves with one of the `DUPLICATE_ACTION` values.
+ */
+async function promptDuplicateAction(message) {
+    const popup = new Popup(`<h3>Already in library</h3><p>${escapeHtml(message)}</p>`, POPUP_TYPE.TEXT, '', {
+        okButton: 'Replace existing',
+        cancelButton: 'Skip',
+        customButtons: [{ text: 'Import as copy', result: POPUP_RESULT.CUSTOM1 }],
+    });
+
+    const result = await popup.show();
+    switch (result) {
+        case POPUP_RESULT.AFFIRMATIVE:
+            return DUPLICATE_ACTION.REPLACE;
+        case POPUP_RESULT.CUSTOM1:
+            return DUPLICATE_ACTION.COPY;
+        default:
+            return DUPLICATE_ACTION.SKIP;
     }
 }
 
+/**
+ * Downloads and imports a character or lorebook, storing the CHUB source on imported characters
+ * so they can be recognized later, then runs the post-import steps enabled in the settings.
+ * @param {Object} entry - The content to import.
+ * @param {string} entry.fullPath - The full path of the content.
+ * @param {string} [entry.namespace='characters'] - The gateway namespace of the content.
+ * @param {number} [entry.id] - The CHUB id of the content, if known.
+ * @param {string} [entry.name] - The name of the content, if known.
+ * @param {string} [entry.replaceAvatar] - Avatar file name of a local character to overwrite.
+ * @param {string} [entry.lastActivityAt] - The remote last activity timestamp of the content, if known.
+ * @param {boolean} [entry.open=false] - Whether to open the imported character, if enabled in the settings.
+ * @returns {Promise<void>} - Resolves once the content has been imported.
+ * @throws {Error} - If downloading or importing fails.
+ */
+async function importFromChub({ fullPath, namespace = 'characters', id = null, name = null, replaceAvatar = null, lastActivityAt = null, open = false }) {
+    const { file, contentType } = await fetchCharacterFile(fullPath, namespace);
+
+    // The new character is found by comparing the library before and after the import, so parallel imports
+    // would see each other's characters. Downloads still run in parallel, only this part is serialized.
+    const imported = await runCharacterImportExclusively(async () => {
+        const avatar = await importContentFile(file, contentType, { replaceAvatar });
+        if (!avatar) return null;
+
+        // Saving a card can reload the library in a different order, so the index is looked up before each use
+        const findIndex = () => characters.findIndex(character => character.avatar === avatar);
+        const source = characters[findIndex()]?.data?.extensions?.chub || {};
+        id = id ?? source.id ?? null;
+        const metadata = extension_settings.chub.recordImportSource
+            ? { author: fullPath.split('/')[0], url: getContentPageUrl(fullPath, namespace), imported_at: new Date().toISOString() }
+            : {};
+        await writeExtensionField(findIndex(), 'chub', { ...source, ...metadata, full_path: fullPath, id });
+
+        const character = characters[findIndex()];
+        if (character && extension_settings.chub.applyImportTags) {
+            applyImportTags(character);
+        }
+        if (character && open && extension_settings.chub.openAfterImport) {
+            await selectCharacterById(String(findIndex()));
+        }
+        return character || null;
+    });
+
+    recordImport({ fullPath, namespace, id, name: imported?.name || name, lastActivityAt });
+    refreshLibraryBadges();
+}
 
 /**
- * Fetches characters based on specified search criteria.
- * @param {Object} options - The search options object.
- * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
- * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
- * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
- * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
- * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
- * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Runs a task after the character imports started before it have finished.
+ * @param {function(): Promise<*>} task - The import to run.
+ * @returns {Promise<*>} - Resolves or rejects like the task.
  */
-async function fetchCharactersBySearch({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1 }) {
+function runCharacterImportExclusively(task) {
+    const result = characterImportQueue.then(task);
+    characterImportQueue = result.catch(() => {});
+    return result;
+}
 
-    let first = extension_settings.chub.findCount;
-    let asc = false;
-    let include_forks = true;
-    nsfw = nsfw || extension_settings.chub.nsfw;  // Default to extension settings if not provided
-    let require_images = false;
-    let require_custom_prompt = false;
-    searchTerm = searchTerm ? `search=${encodeURIComponent(searchTerm)}&` : '';
-    sort = sort || 'download_count';
+/**
+ * Gives an imported character SillyTavern tags for the CHUB topics of its card, following the tag mapping
+ * and ignore list of the settings. Tags that don't exist yet are created.
+ * @param {Object} character - The imported character.
+ */
+function applyImportTags(character) {
+    const topics = Array.isArray(character.tags) && character.tags.length > 0 ? character.tags : (character.data?.tags || []);
+    const mapping = extension_settings.chub.importTagMapping;
+    const ignored = new Set(extension_settings.chub.importTagIgnore.map(tag => tag.toLowerCase()));
+    const names = new Map();  // lowercase name -> name, so differently cased topics end up as one tag
 
-    // Construct the URL with the search parameters, if any
-    //
-    let url = `${API_ENDPOINT_SEARCH}?namespace=characters&${searchTerm}first=${first}&page=${page}&sort=${sort}&asc=${asc}&venus=true&include_forks=${include_forks}&nsfw=${nsfw}&require_images=${require_images}&require_custom_prompt=${require_custom_prompt}`;
+    for (const topic of topics) {
+        const key = String(topic).trim().toLowerCase();
+        if (!key || ignored.has(key)) continue;
 
-    //truncate include and exclude tags to 100 characters
-    includeTags = includeTags.filter(tag => tag.length > 0);
-    if (includeTags && includeTags.length > 0) {
-        includeTags = includeTags.join(',').slice(0, 100);
-        url += `&tags=${encodeURIComponent(includeTags)}`;
+        // A topic mapped to nothing is ignored as well
+        const mapped = String(Object.hasOwn(mapping, key) ? mapping[key] : topic).trim();
+        if (mapped) names.set(mapped.toLowerCase(), mapped);
     }
-    //remove tags that contain no characters
-    excludeTags = excludeTags.filter(tag => tag.length > 0);
-    if (excludeTags && excludeTags.length > 0) {
-        excludeTags = excludeTags.join(',').slice(0, 100);
-        url += `&exclude_tags=${encodeURIComponent(excludeTags)}`;
+
+    if (names.size === 0) return;
+
+    const tagsToAdd = [...names].map(([key, name]) =>
+        sillyTavernTags.find(tag => tag.name.toLowerCase() === key) || createNewTag(name)
+    );
+    addTagsToEntity(tagsToAdd, character.avatar);
+    saveSettingsDebounced();
+}
+
+/**
+ * Parses the tag mapping of the settings from its text form, one "CHUB tag = SillyTavern tag" per line.
+ * @param {string} text - The text of the mapping.
+ * @returns {Object<string, string>} - The mapping, keyed by lowercase CHUB tag.
+ */
+function parseTagMapping(text) {
+    const mapping = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator < 0) continue;
+        const from = line.slice(0, separator).trim().toLowerCase();
+        if (from) mapping[from] = line.slice(separator + 1).trim();
     }
+    return mapping;
+}
 
-    let searchResponse;
-    let searchData;
-    
-    try {
-        searchResponse = await fetch(url);
-        if (!searchResponse.ok) {
-            console.error('Search request failed', searchResponse.status, searchResponse.statusText);
-            toastr.error(`Search failed: ${searchResponse.statusText}`);
-            return chubCharacters;
+/**
+ * Remembers where an imported card came from, so it can be checked for updates later.
+ * @param {Object} record - The import to record.
+ * @param {string} record.fullPath - The full path of the content.
+ * @param {string} record.namespace - The gateway namespace of the content.
+ * @param {number} [record.id] - The CHUB id of the content.
+ * @param {string} [record.name] - The name of the content, for display.
+ * @param {string} [record.lastActivityAt] - The remote last activity timestamp at the time of import.
+ */
+function recordImport({ fullPath, namespace, id = null, name = null, lastActivityAt = null }) {
+    const previous = extension_settings.chub.importedCards[fullPath] || {};
+
+    extension_settings.chub.importedCards[fullPath] = {
+        fullPath,
+        namespace,
+        id: id ?? previous.id ?? null,
+        name: name || previous.name || fullPath,
+        importedAt: new Date().toISOString(),
+        lastActivityAt: lastActivityAt || null,
+    };
+    saveSettingsDebounced();
+}
+
+/**
+ * Re-queries the gateway for every recorded import and collects the ones that changed upstream.
+ * A card counts as changed when its remote last activity is newer than the one recorded on import,
+ * or newer than the import itself when no timestamp was recorded.
+ * @returns {Promise<Array<Object>>} - Resolves with the stale import records, each with a `remoteActivityAt` property.
+ */
+async function checkForUpdates() {
+    const records = Object.values(extension_settings.chub.importedCards);
+    const stale = [];
+
+    const results = await mapInBatches(records, record =>
+        fetchCharacterDetails(record.fullPath, record.namespace).catch(error => {
+            console.error('Update check failed for', record.fullPath, error);
+            return null;
+        })
+    );
+
+    results.forEach((details, i) => {
+        if (!details || !details.lastActivityAt) return;
+
+        const record = records[i];
+        const baseline = Date.parse(record.lastActivityAt || record.importedAt);
+        if (Date.parse(details.lastActivityAt) > baseline) {
+            stale.push({ ...record, name: details.name || record.name, remoteActivityAt: details.lastActivityAt });
         }
-        searchData = await searchResponse.json();
-    } catch (error) {
-        console.error('Error fetching search data:', error);
-        toastr.error('Failed to search characters. Please check your connection.');
-        return chubCharacters;
+    });
+
+    return stale;
+}
+
+/**
+ * Checks recorded imports for updates and lists the changed ones in the detail pane of the popup.
+ * @returns {Promise<void>} - Resolves once the list has been rendered.
+ */
+async function showUpdatesPane() {
+    const pane = document.querySelector('.character-detail');
+    if (!pane) return;
+
+    const content = pane.querySelector('.character-detail-content');
+    pane.querySelector('#detailImportButton').classList.add('displayNone');
+    pane.setAttribute('data-path', '');
+    pane.classList.remove('displayNone');
+
+    if (Object.keys(extension_settings.chub.importedCards).length === 0) {
+        content.innerHTML = '<div class="character-detail-error">No imports have been recorded yet.</div>';
+        return;
     }
 
-    // Clear previous search results
-    chubCharacters = [];
+    content.innerHTML = '<div class="character-detail-loading"><i class="fa-solid fa-spinner fa-spin"></i> Checking for updates...</div>';
+    const stale = await checkForUpdates();
 
-    // Add comprehensive validation check for searchData existence and structure
-    if (!searchData) {
-        console.warn('No search data received');
-        return chubCharacters;
+    if (stale.length === 0) {
+        content.innerHTML = '<div class="character-detail-error">All imported cards are up to date.</div>';
+        return;
     }
-    
-    if (!searchData.data) {
-        console.warn('Search data missing data property');
-        return chubCharacters;
+
+    content.innerHTML = `
+        <div class="flex-container flex-no-wrap flex-align-center update-list-header">
+            <h3 class="flex1">${stale.length} card(s) changed upstream</h3>
+            <div class="menu_button" id="reimportAllButton">Re-import all</div>
+        </div>
+        ${stale.map(record => `
+            <div class="update-list-item flex-container flex-no-wrap flex-align-center">
+                <div class="flex1">
+                    <a href="${escapeHtml(getContentPageUrl(record.fullPath, record.namespace))}" target="_blank">${escapeHtml(record.name)}</a>
+                    <div class="author">Imported ${escapeHtml(new Date(record.importedAt).toLocaleString())}, updated ${escapeHtml(new Date(record.remoteActivityAt).toLocaleString())}</div>
+                </div>
+                <div class="menu_button reimport-btn" data-path="${escapeHtml(record.fullPath)}">Re-import</div>
+            </div>
+        `).join('')}
+    `;
+
+    const toEntry = (record) => {
+        const existing = record.namespace === 'characters' ? findLibraryCharacter(record) : null;
+        return { ...record, lastActivityAt: record.remoteActivityAt, replaceAvatar: existing ? existing.avatar : null };
+    };
+
+    content.querySelector('#reimportAllButton').addEventListener('click', () => enqueueImports(stale.map(toEntry)));
+    content.querySelectorAll('.reimport-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const record = stale.find(r => r.fullPath === button.getAttribute('data-path'));
+            if (record) enqueueImports([toEntry(record)]);
+        });
+    });
+}
+
+/**
+ * Downloads a custom character or lorebook based on the provided fullPath.
+ * If the character is already in the local library, the user chooses whether to skip, copy or replace it.
+ * @param {string} fullPath - The full path of the character from search results (e.g., "user/character-name")
+ * @param {string} [namespace='characters'] - The gateway namespace of the content ("characters" or "lorebooks").
+ * @param {string} [duplicateAction] - One of the `DUPLICATE_ACTION` values to use instead of asking the user.
+ * @returns {Promise<boolean>} - Resolves with true once the character has been processed, or false if an error occurs.
+ */
+async function downloadCharacter(fullPath, namespace = 'characters', duplicateAction = null) {
+    console.debug('Custom content import started', fullPath, namespace);
+
+    const result = getDisplayedCharacters().find(character => character.fullPath === fullPath) || { fullPath };
+    let replaceAvatar = null;
+
+    if (namespace === 'characters') {
+        const existing = findLibraryCharacter(result);
+        if (existing) {
+            const action = duplicateAction || await promptDuplicateAction(`"${existing.name}" is already in your library.`);
+            if (action === DUPLICATE_ACTION.SKIP) return false;
+            if (action === DUPLICATE_ACTION.REPLACE) replaceAvatar = existing.avatar;
+        }
     }
-    
-    if (!searchData.data.nodes || !Array.isArray(searchData.data.nodes)) {
-        console.warn('Search data missing nodes array');
-        return chubCharacters;
+
+    try {
+        await importFromChub({ fullPath, namespace, id: result.id, name: result.name, replaceAvatar, lastActivityAt: result.lastActivityAt, open: true });
+        return true;
+    } catch (error) {
+        showDownloadError(error, fullPath, namespace);
+        return false;
     }
-    
-    if (searchData.data.nodes.length === 0) {
-        console.log('No characters found in search results');
-        return chubCharacters;
+}
+
+/**
+ * Shows the toast for a failed card download, offering the content page when the server refused it.
+ * @param {Error} error - The error thrown by `fetchCharacterFile` or the import.
+ * @param {string} fullPath - The full path of the content.
+ * @param {string} namespace - The gateway namespace of the content.
+ */
+function showDownloadError(error, fullPath, namespace) {
+    if (error.status) {
+        // Construct the content page URL for fallback
+        const fallbackUrl = getContentPageUrl(fullPath, namespace);
+        toastr.info("Click to go to the content page", 'Custom content import failed', {onclick: () => window.open(fallbackUrl, '_blank') });
+    } else if (error.message === 'Unknown content type') {
+        toastr.warning(error.message);
+    } else {
+        toastr.error(error.message);
     }
-    
-    // Process characters with proper error handling
-    let charactersPromises = searchData.data.nodes.map(node => getCharacter(node));
-    let characterBlobs;
-    
+}
+
+/**
+ * Saves the card file of a character or lorebook to disk instead of importing it,
+ * under the file name given by the server.
+ * @param {string} fullPath - The full path of the content (e.g., "user/character-name").
+ * @param {string} [namespace='characters'] - The gateway namespace of the content ("characters" or "lorebooks").
+ * @returns {Promise<boolean>} - Resolves with true once the file has been saved, or false if an error occurs.
+ */
+async function saveCardFile(fullPath, namespace = 'characters') {
     try {
-        characterBlobs = await Promise.all(charactersPromises);
+        const { file } = await fetchCharacterFile(fullPath, namespace);
+        download(file, file.name, file.type);
+        return true;
     } catch (error) {
-        console.error('Error fetching character avatars:', error);
-        toastr.error('Failed to load some character images');
-        return chubCharacters;
+        showDownloadError(error, fullPath, namespace);
+        return false;
     }
+}
+
+/**
+ * Downloads several cards and saves them to disk as one ZIP file, with a manifest.json listing
+ * the fullPath, author and tags of every card. Cards that fail to download are listed in the manifest too.
+ * @param {Array<{fullPath: string, name?: string, namespace?: string, tags?: Array<string>}>} entries - The cards to bundle.
+ * @returns {Promise<void>} - Resolves once the ZIP file has been saved.
+ */
+async function saveCardBundle(entries) {
+    const files = [];
+    const manifest = { exportedAt: new Date().toISOString(), cards: [], failed: [] };
+    const usedNames = new Set(['manifest.json']);
+    const toast = toastr.info(`Downloading 0 of ${entries.length} cards...`, 'CHUB bundle', { timeOut: 0, extendedTimeOut: 0 });
+
+    for (const [index, entry] of entries.entries()) {
+        const namespace = entry.namespace || 'characters';
+        toast.find('.toast-message').text(`Downloading ${index + 1} of ${entries.length} cards...`);
 
-    characterBlobs.forEach((character, i) => {
-        if (!character) return; // Skip if character blob is null
-        
-        const node = searchData.data.nodes[i];
-        if (!node) return; // Skip if node is null
-        
-        let imageUrl;
         try {
-            imageUrl = URL.createObjectURL(character);
+            const { file } = await fetchCharacterFile(entry.fullPath, namespace);
+
+            // Cards with the same file name are numbered instead of overwriting each other
+            let fileName = file.name;
+            for (let i = 2; usedNames.has(fileName.toLowerCase()); i++) {
+                fileName = file.name.replace(/(\.[^.]*)?$/, ` (${i})$1`);
+            }
+            usedNames.add(fileName.toLowerCase());
+
+            files.push({ name: fileName, data: new Uint8Array(await file.arrayBuffer()) });
+            manifest.cards.push({
+                fullPath: entry.fullPath,
+                author: entry.fullPath.split('/')[0],
+                name: entry.name || entry.fullPath,
+                namespace,
+                tags: entry.tags || [],
+                fileName,
+            });
         } catch (error) {
-            console.error('Error creating object URL for character image:', error);
-            return; // Skip this character
+            console.error('Bundle download failed', entry.fullPath, error);
+            manifest.failed.push({ fullPath: entry.fullPath, error: error.message });
         }
-        
-        // Add defensive null checks for node properties
-        const fullPath = node.fullPath || '';
-        const author = fullPath ? fullPath.split('/')[0] : 'Unknown';
-        
-        chubCharacters.push({
-            url: imageUrl,
-            description: node.tagline || node.description || "No description available",
-            name: node.name || "Unknown Character",
-            fullPath: fullPath,
-            tags: Array.isArray(node.topics) ? node.topics : [],
-            author: author,
-            id: node.id || null,
-        });
-    });
+    }
+
+    toastr.clear(toast);
 
-    return chubCharacters;
+    if (files.length === 0) {
+        toastr.error('None of the cards could be downloaded', 'CHUB bundle');
+        return;
+    }
+
+    files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+    download(createZip(files), `chub-cards-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+
+    if (manifest.failed.length > 0) {
+        toastr.warning(`${manifest.cards.length} of ${entries.length} cards saved, ${manifest.failed.length} failed`, 'CHUB bundle');
+    } else {
+        toastr.success(`${manifest.cards.length} cards saved`, 'CHUB bundle');
+    }
 }
 
 /**
- * Searches for characters based on the provided options and manages the UI during the search.
- * @param {Object} options - The search criteria/options for fetching characters.
- * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
+ * Computes the CRC-32 checksum of some bytes, as used by ZIP files.
+ * @param {Uint8Array} data - The bytes to checksum.
+ * @returns {number} - The unsigned checksum.
  */
-async function searchCharacters(options) {
-    if (characterListContainer && !document.body.contains(characterListContainer)) {
-        console.log('Character list container is not in the DOM, removing reference');
-        characterListContainer = null;
-    }
-    // grey out the character-list-popup while we're searching
-    if (characterListContainer) {
-        characterListContainer.classList.add('searching');
+function crc32(data) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c;
+        }
     }
-    console.log('Searching for characters', options);
-    const characters = await fetchCharactersBySearch(options);
-    if (characterListContainer) {
-        characterListContainer.classList.remove('searching');
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive. Card images are already compressed,
+ * so storing them keeps the archive small enough without a compression library.
+ * @param {Array<{name: string, data: Uint8Array}>} files - The files to pack, with UTF-8 file names.
+ * @returns {Blob} - The ZIP archive.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);             // version needed to extract
+        local.setUint16(6, 0x0800, true);         // UTF-8 file names
+        local.setUint16(8, 0, true);              // stored, no compression
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        // Central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);           // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Saves the unfinished part of the import queue so it can be resumed after a reload.
+ */
+function persistImportQueue() {
+    extension_settings.chub.importQueue = importQueue
+        .filter(item => item.status === IMPORT_STATUS.PENDING || item.status === IMPORT_STATUS.IMPORTING)
+        .map(({ fullPath, name, namespace, id, replaceAvatar, lastActivityAt }) => ({ fullPath, name, namespace, id, replaceAvatar, lastActivityAt }));
+    saveSettingsDebounced();
+}
+
+/**
+ * Adds characters to the import queue and starts processing it.
+ * Entries that are already waiting or importing are ignored, finished or failed ones are queued again, see `addToImportQueue`.
+ * @param {Array<{fullPath: string, name?: string, namespace?: string, id?: number, replaceAvatar?: string, lastActivityAt?: string}>} entries - The characters or lorebooks to import.
+ */
+function enqueueImports(entries) {
+    const added = entries.filter(entry => addToImportQueue(importQueue, entry)).length;
+
+    if (added === 0) return;
+
+    if (!importBatch) {
+        importBatch = { total: 0, done: 0, failed: 0 };
+    }
+    importBatch.total += added;
+
+    persistImportQueue();
+    renderImportQueue();
+    pumpImportQueue();
+}
+
+/**
+ * Adds characters to the import queue after asking once what to do with those already in the library.
+ * @param {Array<Object>} entries - The characters or lorebooks to import, as accepted by `enqueueImports`.
+ * @returns {Promise<void>} - Resolves once the entries have been queued.
+ */
+async function enqueueImportsWithDuplicateCheck(entries) {
+    const duplicates = new Map();
+    for (const entry of entries) {
+        const existing = entry.namespace === 'characters' ? findLibraryCharacter(entry) : null;
+        if (existing) duplicates.set(entry.fullPath, existing);
+    }
+
+    if (duplicates.size > 0) {
+        const action = await promptDuplicateAction(`${duplicates.size} of the selected characters are already in your library.`);
+        if (action === DUPLICATE_ACTION.SKIP) {
+            entries = entries.filter(entry => !duplicates.has(entry.fullPath));
+        } else if (action === DUPLICATE_ACTION.REPLACE) {
+            entries = entries.map(entry => duplicates.has(entry.fullPath) ? { ...entry, replaceAvatar: duplicates.get(entry.fullPath).avatar } : entry);
+        }
+    }
+
+    enqueueImports(entries);
+}
+
+/**
+ * Starts as many pending imports as the concurrency limit allows.
+ * Shows a summary toast once the queue has drained.
+ */
+function pumpImportQueue() {
+    const limit = Math.max(1, parseInt(extension_settings.chub.importConcurrency) || 1);
+
+    while (activeImports < limit) {
+        const next = importQueue.find(item => item.status === IMPORT_STATUS.PENDING);
+        if (!next) break;
+        activeImports++;
+        runImport(next);
+    }
+
+    if (activeImports === 0 && importBatch) {
+        const { total, done, failed } = importBatch;
+        importBatch = null;
+
+        if (failed > 0) {
+            toastr.warning(`${done} of ${total} imported, ${failed} failed`, 'CHUB import finished');
+        } else {
+            toastr.success(`${done} of ${total} imported`, 'CHUB import finished');
+        }
+    }
+}
+
+/**
+ * Imports a single queue entry and updates its status.
+ * @param {Object} item - The queue entry to import.
+ * @returns {Promise<void>} - Resolves once the entry is done or failed.
+ */
+async function runImport(item) {
+    item.status = IMPORT_STATUS.IMPORTING;
+    renderImportQueue();
+
+    try {
+        // Only a single queued import is opened, a batch would switch characters for every entry
+        await importFromChub({ ...item, open: importBatch?.total === 1 });
+        item.status = IMPORT_STATUS.DONE;
+        item.error = null;
+        if (importBatch) importBatch.done++;
+    } catch (error) {
+        console.error('Queued import failed', item.fullPath, error);
+        item.status = IMPORT_STATUS.FAILED;
+        item.error = error.message;
+        if (importBatch) importBatch.failed++;
+    } finally {
+        activeImports--;
+        persistImportQueue();
+        renderImportQueue();
+        pumpImportQueue();
+    }
+}
+
+/**
+ * Puts every failed entry of the import queue back into the pending state.
+ */
+function retryFailedImports() {
+    const failed = importQueue.filter(item => item.status === IMPORT_STATUS.FAILED);
+    enqueueImports(failed);
+}
+
+/**
+ * Removes finished entries from the import queue.
+ */
+function clearFinishedImports() {
+    importQueue = importQueue.filter(item => item.status !== IMPORT_STATUS.DONE);
+    renderImportQueue();
+}
+
+/**
+ * Renders the import queue panel of the popup, if it is currently open.
+ */
+function renderImportQueue() {
+    const container = document.querySelector('.import-queue');
+    if (!container) return;
+
+    container.classList.toggle('displayNone', importQueue.length === 0);
+
+    const finished = importQueue.filter(item => item.status === IMPORT_STATUS.DONE || item.status === IMPORT_STATUS.FAILED).length;
+    const hasFailed = importQueue.some(item => item.status === IMPORT_STATUS.FAILED);
+
+    container.querySelector('.import-queue-progress').textContent = `${finished} / ${importQueue.length}`;
+    container.querySelector('progress').max = importQueue.length || 1;
+    container.querySelector('progress').value = finished;
+    container.querySelector('#retryFailedImports').classList.toggle('displayNone', !hasFailed);
+
+    const icons = {
+        [IMPORT_STATUS.PENDING]: 'fa-clock',
+        [IMPORT_STATUS.IMPORTING]: 'fa-spinner fa-spin',
+        [IMPORT_STATUS.DONE]: 'fa-check',
+        [IMPORT_STATUS.FAILED]: 'fa-triangle-exclamation',
+    };
+
+    container.querySelector('.import-queue-items').innerHTML = importQueue.map(item => `
+        <div class="import-queue-item ${item.status}" title="${escapeHtml(item.error || item.fullPath)}">
+            <i class="fa-solid ${icons[item.status]}"></i>
+            <span class="import-queue-name">${escapeHtml(item.name)}</span>
+            <span class="import-queue-status">${item.status}</span>
+            ${item.status === IMPORT_STATUS.FAILED ? `<div class="menu_button retry-import-btn fa-solid fa-rotate-right" data-path="${escapeHtml(item.fullPath)}" title="Retry"></div>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Updates the selection counter of the "Import selected" and "Save selected" buttons.
+ */
+function updateSelectionCount() {
+    const button = document.getElementById('importSelectedButton');
+    if (button) {
+        button.textContent = `Import selected (${selectedCharacters.size})`;
+        button.classList.toggle('disabled', selectedCharacters.size === 0);
+    }
+    document.getElementById('saveSelectedButton')?.classList.toggle('disabled', selectedCharacters.size === 0);
+}
+
+/**
+ * Shows or hides the "In library" badge of every rendered result row.
+ */
+function refreshLibraryBadges() {
+    if (!characterListContainer) return;
+
+    characterListContainer.querySelectorAll('.character-list-item').forEach(row => {
+        const character = getDisplayedCharacters()[Number(row.getAttribute('data-index'))];
+        const badge = row.querySelector('.library-badge');
+        if (!character || !badge) return;
+
+        const inLibrary = character.namespace === 'characters' && findLibraryCharacter(character) !== null;
+        badge.classList.toggle('displayNone', !inLibrary);
+    });
+}
+
+/**
+ * Returns the results shown in the list of the popup, depending on the active tab.
+ * @returns {Array<Object>} - The search results, the favorites or the new cards of followed authors.
+ */
+function getDisplayedCharacters() {
+    switch (activeTab) {
+        case 'favorites':
+            return favoriteCharacters;
+        case 'followed':
+            return followedCharacters;
+        default:
+            return chubCharacters;
+    }
+}
+
+/**
+ * Checks whether a card is in the favorites.
+ * @param {string} fullPath - The full path of the card.
+ * @returns {boolean} - Whether the card is a favorite.
+ */
+function isFavorite(fullPath) {
+    return extension_settings.chub.favorites.some(favorite => favorite.fullPath === fullPath);
+}
+
+/**
+ * Adds a displayed card to the favorites, or removes it if it's already there.
+ * @param {string} fullPath - The full path of the card.
+ */
+function toggleFavorite(fullPath) {
+    if (isFavorite(fullPath)) {
+        extension_settings.chub.favorites = extension_settings.chub.favorites.filter(favorite => favorite.fullPath !== fullPath);
+    } else {
+        const character = getDisplayedCharacters().find(c => c.fullPath === fullPath);
+        if (!character) return;
+
+        extension_settings.chub.favorites.push({
+            fullPath: character.fullPath,
+            name: character.name,
+            author: character.author,
+            tags: character.tags,
+            description: character.description,
+            avatarUrl: character.avatarUrl,
+            maxResUrl: character.maxResUrl,
+            nsfw: character.nsfw,
+            namespace: character.namespace,
+            id: character.id,
+            addedAt: new Date().toISOString(),
+        });
+    }
+    saveSettingsDebounced();
+
+    if (activeTab === 'favorites') {
+        showTab('favorites');
+    } else {
+        characterListContainer?.querySelectorAll('.favorite-btn').forEach(button => {
+            const favorite = isFavorite(button.getAttribute('data-path'));
+            button.classList.toggle('fa-solid', favorite);
+            button.classList.toggle('fa-regular', !favorite);
+        });
+        updateTabButtons();
+    }
+}
+
+/**
+ * Switches the list of the popup between the search results, the favorites and the new cards of followed authors.
+ * @param {string} tab - Either "search", "favorites" or "followed".
+ * @returns {Promise<void>} - Resolves once the list has been rendered.
+ */
+async function showTab(tab) {
+    activeTab = tab;
+    releaseAvatarUrls();
+    hideCharacterDetails();
+
+    if (tab === 'favorites') {
+        favoriteCharacters = extension_settings.chub.favorites.map(favorite => ({
+            ...favorite,
+            url: null,
+            tags: Array.isArray(favorite.tags) ? favorite.tags : [],
+            namespace: favorite.namespace || 'characters',
+        }));
+    } else if (tab === 'followed') {
+        updateTabButtons();
+        if (characterListContainer) {
+            characterListContainer.innerHTML = '<div class="no-characters-found"><i class="fa-solid fa-spinner fa-spin"></i> Loading...</div>';
+        }
+        const feed = await fetchFollowedFeed();
+        // The user may have switched tabs while the feed was loading
+        if (activeTab !== 'followed') return;
+        followedCharacters = feed;
+    }
+
+    const characters = getDisplayedCharacters();
+    if (characters.length > 0) {
+        updateCharacterListInView(characters);
+    } else if (characterListContainer) {
+        const emptyMessages = {
+            favorites: 'No favorites yet. Click the star on a result to add it.',
+            followed: extension_settings.chub.followedAuthors.length > 0
+                ? 'Nothing new from followed authors since you last looked.'
+                : 'No followed authors yet. Click the follow button next to an author to follow them.',
+        };
+        characterListContainer.innerHTML = `<div class="no-characters-found">${emptyMessages[tab] || 'No characters found'}</div>`;
+    }
+    updateTabButtons();
+    savePopupState();
+}
+
+/**
+ * Checks whether an author is followed.
+ * @param {string} author - The username of the author.
+ * @returns {boolean} - Whether the author is followed.
+ */
+function isFollowed(author) {
+    const name = String(author || '').toLowerCase();
+    return extension_settings.chub.followedAuthors.some(followed => followed.toLowerCase() === name);
+}
+
+/**
+ * Follows an author, or unfollows them if they're already followed.
+ * @param {string} author - The username of the author.
+ */
+function toggleFollow(author) {
+    author = String(author || '').trim();
+    if (!author) return;
+
+    if (isFollowed(author)) {
+        extension_settings.chub.followedAuthors = extension_settings.chub.followedAuthors.filter(followed => followed.toLowerCase() !== author.toLowerCase());
+        toastr.info(`Unfollowed ${author}`);
+    } else {
+        extension_settings.chub.followedAuthors.push(author);
+        toastr.success(`Following ${author}`);
+    }
+    saveSettingsDebounced();
+
+    characterListContainer?.querySelectorAll('.follow-btn').forEach(button => {
+        const followed = isFollowed(button.getAttribute('data-author'));
+        button.classList.toggle('fa-user-check', followed);
+        button.classList.toggle('fa-user-plus', !followed);
+        button.setAttribute('title', followed ? 'Unfollow this author' : 'Follow this author');
+    });
+    updateTabButtons();
+}
+
+/**
+ * Collects the cards of followed authors that were created or updated since the feed was last opened,
+ * newest first, then marks them as seen. The first time, the feed looks back `FOLLOWED_FEED_DEFAULT_DAYS` days.
+ * @returns {Promise<Array<Object>>} - Resolves with the new cards, as search result objects.
+ */
+async function fetchFollowedFeed() {
+    const authors = extension_settings.chub.followedAuthors;
+    const checkedAt = new Date().toISOString();
+    const seenAt = Date.parse(extension_settings.chub.followedSeenAt) || Date.now() - FOLLOWED_FEED_DEFAULT_DAYS * 24 * 60 * 60 * 1000;
+    const activity = character => Math.max(Date.parse(character.lastActivityAt) || 0, Date.parse(character.createdAt) || 0);
+    const feed = [];
+    let failed = 0;
+
+    const results = await mapInBatches(authors, author => fetchAuthorActivity(author, seenAt, activity).catch(error => {
+        console.error('Followed feed search failed for', author, error);
+        return null;
+    }));
+
+    for (const result of results) {
+        if (!result) {
+            failed++;
+            continue;
+        }
+        feed.push(...result);
+    }
+
+    // Keep the previous baseline if some authors couldn't be checked, so their new cards aren't missed
+    if (failed === 0) {
+        extension_settings.chub.followedSeenAt = checkedAt;
+        saveSettingsDebounced();
+    }
+
+    return feed.sort((a, b) => activity(b) - activity(a));
+}
+
+/**
+ * Collects the cards of an author with activity after a date. The cards are searched by last activity,
+ * page after page, until a page reaches back to that date or there are no more pages.
+ * @param {string} author - The username of the author.
+ * @param {number} since - The date, as a timestamp.
+ * @param {function(Object): number} activity - Gives the timestamp of the latest activity of a card.
+ * @returns {Promise<Array<Object>>} - Resolves with the cards, as search result objects.
+ * @throws {Error} - If one of the pages can't be searched.
+ */
+async function fetchAuthorActivity(author, since, activity) {
+    const cards = [];
+
+    for (let page = 1; ; page++) {
+        const { characters: results, hasMore } = await fetchCharactersBySearch({
+            author,
+            // The paging stops at the first card older than the last visit, so it must go newest first
+            sort: 'last_activity_at',
+            ascending: false,
+            includeTags: [],
+            excludeTags: [],
+            page,
+            bypassCache: true,
+        });
+        cards.push(...results.filter(character => activity(character) > since));
+
+        // Blocked cards are filtered out of the page, so an empty page doesn't tell how far back it went
+        const reachedSince = results.some(character => activity(character) <= since);
+        if (!hasMore || reachedSince) return cards;
+    }
+}
+
+/**
+ * Replaces the search with one for the cards of an author, keeping the content type and NSFW setting.
+ * @param {string} author - The username of the author.
+ */
+function browseAuthor(author) {
+    const state = {
+        ...getSearchFormState(),
+        searchTerm: '',
+        includeTags: '',
+        excludeTags: '',
+        minTokens: '',
+        maxTokens: '',
+        minRating: '',
+        dateFrom: '',
+        dateTo: '',
+        author,
+    };
+    applySearchFormState(state);
+    document.getElementById('pageNumber').value = 1;
+    document.querySelector('.advanced-filters')?.setAttribute('open', '');
+
+    recordSearchHistory(state);
+    executeCharacterSearch({ ...searchOptionsFromState(state), page: 1 });
+}
+
+/**
+ * Highlights the active tab of the popup and updates the favorites and followed authors counters.
+ */
+function updateTabButtons() {
+    document.querySelectorAll('.chub-tab').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-tab') === activeTab);
+    });
+    const favoritesTab = document.querySelector('.chub-tab[data-tab="favorites"]');
+    if (favoritesTab) {
+        favoritesTab.textContent = `Favorites (${extension_settings.chub.favorites.length})`;
+    }
+    const followedTab = document.querySelector('.chub-tab[data-tab="followed"]');
+    if (followedTab) {
+        followedTab.textContent = `New from followed (${extension_settings.chub.followedAuthors.length})`;
+    }
+    document.querySelector('.favorites-actions')?.classList.toggle('displayNone', activeTab !== 'favorites');
+}
+
+/**
+ * Downloads the favorites as a JSON file.
+ */
+function exportFavorites() {
+    const json = JSON.stringify({ favorites: extension_settings.chub.favorites }, null, 4);
+    download(json, 'chub-favorites.json', 'application/json');
+}
+
+/**
+ * Merges favorites from a JSON file, replacing favorites with the same full path.
+ * @param {File} file - The JSON file, as produced by `exportFavorites`.
+ * @returns {Promise<void>} - Resolves once the favorites have been imported.
+ */
+async function importFavorites(file) {
+    let imported;
+    try {
+        const data = JSON.parse(await file.text());
+        imported = Array.isArray(data) ? data : data.favorites;
+        if (!Array.isArray(imported)) throw new Error('No favorites found');
+    } catch (error) {
+        console.error('Error importing favorites:', error);
+        toastr.error('Invalid favorites file');
+        return;
+    }
+
+    const valid = imported.filter(entry => entry && typeof entry.fullPath === 'string' && entry.fullPath);
+    const paths = new Set(valid.map(entry => entry.fullPath));
+    extension_settings.chub.favorites = [
+        ...extension_settings.chub.favorites.filter(entry => !paths.has(entry.fullPath)),
+        ...valid,
+    ];
+    saveSettingsDebounced();
+    showTab('favorites');
+    toastr.success(`Imported ${valid.length} favorite(s)`);
+}
+
+/**
+ * Updates the character list in the view based on provided characters.
+ * @param {Array} characters - A list of character data objects to be rendered in the view.
+ */
+function updateCharacterListInView(characters) {
+    if (characterListContainer) {
+        closeLightbox();
+        applyViewSettings();
+        characterListContainer.replaceChildren(...characters.map((character, i) => renderCharacterListItem(character, i)));
+        observeAvatars();
+    }
+}
+
+/**
+ * Applies the view mode and density of the settings to the result list, and highlights the matching toolbar buttons.
+ */
+function applyViewSettings() {
+    const { viewMode, viewDensity } = extension_settings.chub;
+
+    if (characterListContainer) {
+        Object.keys(VIEW_MODES).forEach(mode => characterListContainer.classList.toggle(`view-${mode}`, mode === viewMode));
+        Object.keys(VIEW_DENSITIES).forEach(density => characterListContainer.classList.toggle(`density-${density}`, density === viewDensity));
+    }
+    document.querySelectorAll('.chub-view-mode').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-mode') === viewMode);
+    });
+    const densitySelect = document.getElementById('viewDensity');
+    if (densitySelect) densitySelect.value = viewDensity;
+}
+
+/**
+ * Opens the lightbox on the avatar of a displayed result. The full resolution avatar is loaded over the thumbnail,
+ * the arrow keys move through the displayed results, and Escape or a click closes it.
+ * @param {number} index - The index of the result in the displayed results.
+ */
+function openLightbox(index) {
+    const wrapper = document.querySelector('.list-and-search-wrapper');
+    if (!wrapper) return;
+
+    if (!lightbox) {
+        const element = createElement('div', { className: 'chub-lightbox' });
+        element.append(
+            createElement('div', { className: 'chub-lightbox-prev fa-solid fa-chevron-left', attributes: { title: 'Previous' } }),
+            createElement('img', { className: 'chub-lightbox-image' }),
+            createElement('div', { className: 'chub-lightbox-next fa-solid fa-chevron-right', attributes: { title: 'Next' } }),
+            createElement('div', { className: 'chub-lightbox-caption' }),
+        );
+        element.addEventListener('click', (event) => {
+            if (event.target.classList.contains('chub-lightbox-prev')) {
+                showLightboxImage(lightbox.index - 1);
+            } else if (event.target.classList.contains('chub-lightbox-next')) {
+                showLightboxImage(lightbox.index + 1);
+            } else if (event.target.classList.contains('sensitive-blurred')) {
+                // Reveal the result here and in the list
+                const character = getDisplayedCharacters()[lightbox.index];
+                if (character) character.revealed = true;
+                event.target.classList.remove('sensitive-blurred');
+                characterListContainer?.querySelector(`.character-list-item[data-index="${lightbox.index}"]`)?.classList.remove('sensitive-blurred');
+            } else {
+                closeLightbox();
+            }
+        });
+
+        const onKeyDown = (event) => {
+            const actions = {
+                ArrowLeft: () => showLightboxImage(lightbox.index - 1),
+                ArrowRight: () => showLightboxImage(lightbox.index + 1),
+                Escape: () => closeLightbox(),
+            };
+            if (!actions[event.key]) return;
+            // Keep Escape from closing the whole popup
+            event.preventDefault();
+            event.stopPropagation();
+            actions[event.key]();
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+
+        wrapper.append(element);
+        lightbox = { element, index, onKeyDown };
+    }
+
+    showLightboxImage(index);
+}
+
+/**
+ * Shows the avatar of another displayed result in the open lightbox, wrapping around at both ends.
+ * @param {number} index - The index of the result in the displayed results.
+ */
+function showLightboxImage(index) {
+    const characters = getDisplayedCharacters();
+    if (!lightbox || characters.length === 0) return;
+
+    // Hidden results are skipped, in the direction of travel
+    const step = index < lightbox.index ? -1 : 1;
+    index = (index + characters.length) % characters.length;
+    for (let i = 0; i < characters.length && getSensitiveDisplay(characters[index]) === 'hide'; i++) {
+        index = (index + step + characters.length) % characters.length;
+    }
+    if (getSensitiveDisplay(characters[index]) === 'hide') {
+        closeLightbox();
+        return;
+    }
+
+    lightbox.index = index;
+    const character = characters[index];
+
+    const image = lightbox.element.querySelector('.chub-lightbox-image');
+    image.classList.toggle('sensitive-blurred', getSensitiveDisplay(character) === 'blur');
+    const fullResolution = sanitizeImageUrl(character.maxResUrl || character.avatarUrl || (character.fullPath ? getAvatarUrl(character.fullPath) : null));
+    image.src = sanitizeImageUrl(character.url);
+    image.alt = character.name;
+
+    // Swap in the full resolution avatar once it has loaded, unless another one was shown meanwhile
+    const loader = new Image();
+    loader.addEventListener('load', () => {
+        if (lightbox && lightbox.index === index) image.src = fullResolution;
+    });
+    loader.src = fullResolution;
+
+    lightbox.element.querySelector('.chub-lightbox-caption').textContent = `${character.name} (${index + 1} / ${characters.length})`;
+}
+
+/**
+ * Closes the lightbox and removes its key listener.
+ */
+function closeLightbox() {
+    if (!lightbox) return;
+
+    document.removeEventListener('keydown', lightbox.onKeyDown, true);
+    lightbox.element.remove();
+    lightbox = null;
+}
+
+/**
+ * Starts watching the thumbnails of the rendered results, loading each avatar once its row scrolls into view.
+ */
+function observeAvatars() {
+    if (avatarObserver) {
+        avatarObserver.disconnect();
+    }
+
+    if (!characterListContainer) return;
+
+    avatarObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            avatarObserver.unobserve(entry.target);
+            loadAvatar(entry.target);
+        });
+    }, { root: characterListContainer, rootMargin: '200px' });
+
+    characterListContainer.querySelectorAll('img.thumbnail[data-pending]').forEach(image => avatarObserver.observe(image));
+}
+
+/**
+ * Loads the avatar of a result row into its thumbnail, keeping the placeholder if the avatar can't be fetched.
+ * @param {HTMLImageElement} image - The thumbnail of the row.
+ * @returns {Promise<void>} - Resolves once the avatar has been loaded or has failed.
+ */
+async function loadAvatar(image) {
+    image.removeAttribute('data-pending');
+    const character = getDisplayedCharacters()[Number(image.closest('.character-list-item')?.getAttribute('data-index'))];
+    if (!character || character.url) return;
+
+    const signal = avatarController.signal;
+    const blob = await getCharacter({ fullPath: character.fullPath, avatar_url: character.avatarUrl }, signal);
+    if (signal.aborted) return;
+    if (!blob) {
+        image.classList.add('avatar-failed');
+        return;
+    }
+
+    // The results may have been replaced while the avatar was loading
+    if (!getDisplayedCharacters().includes(character)) return;
+
+    try {
+        character.url = URL.createObjectURL(blob);
+        avatarObjectUrls.add(character.url);
+        image.src = character.url;
+    } catch (error) {
+        console.error('Error creating object URL for character image:', error);
+    }
+}
+
+/**
+ * Aborts the avatar fetches of the current results and revokes the object URLs of their avatars, before they are replaced.
+ */
+function releaseAvatarUrls() {
+    avatarController.abort();
+    avatarController = new AbortController();
+    avatarObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    avatarObjectUrls.clear();
+    chubCharacters.forEach(character => character.url = null);
+    favoriteCharacters.forEach(character => character.url = null);
+}
+
+
+/**
+ * Builds a URL on the CHUB gateway, using the base URL from the settings.
+ * @param {string} path - The path below the base URL (e.g., "search" or "api/characters/user/name").
+ * @returns {string} - The full URL.
+ */
+function getApiUrl(path) {
+    const base = (extension_settings.chub.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    return `${base}/${path}`;
+}
+
+/**
+ * Builds the avatar URL of a card for results that don't carry one, using the base URL from the settings.
+ * @param {string} fullPath - The full path of the card (e.g., "user/character-name").
+ * @returns {string} - The avatar URL.
+ */
+function getAvatarUrl(fullPath) {
+    const base = (extension_settings.chub.avatarBaseUrl || DEFAULT_AVATAR_BASE_URL).replace(/\/+$/, '');
+    return `${base}/${encodeURIComponent(fullPath)}/avatar.webp`;
+}
+
+/**
+ * Waits for some time, or until the signal is aborted.
+ * @param {number} ms - How long to wait.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>} - Resolves after the delay, rejects with an AbortError if the signal is aborted.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Reads the Retry-After header of a response, given either in seconds or as a date.
+ * @param {Response} response - The response.
+ * @returns {number|null} - How many milliseconds to wait, or null if the header is missing or malformed.
+ */
+function getRetryAfter(response) {
+    const header = response.headers.get('Retry-After');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Runs a lookup for each item, `GATEWAY_BATCH_SIZE` at a time, so long lists don't flood the gateway.
+ * @param {Array<*>} items - The items to look up.
+ * @param {function(*): Promise<*>} callback - Looks up one item.
+ * @returns {Promise<Array<*>>} - Resolves with the results, in the order of the items.
+ */
+async function mapInBatches(items, callback) {
+    const results = [];
+    for (let i = 0; i < items.length; i += GATEWAY_BATCH_SIZE) {
+        results.push(...await Promise.all(items.slice(i, i + GATEWAY_BATCH_SIZE).map(callback)));
+    }
+    return results;
+}
+
+/**
+ * Fetches a URL, retrying rate limited (429) and server error (5xx) responses with exponential backoff.
+ * A Retry-After header is respected, unless it asks for a longer wait than `RETRY_MAX_DELAY_MS`,
+ * in which case the response is returned so the caller can show when to try again.
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} [init] - Options for `fetch`, including the `signal` that aborts the request and the waits.
+ * @param {number} [retries=RETRY_LIMIT] - How many times to retry.
+ * @returns {Promise<Response>} - Resolves with the first successful response, or the last failed one.
+ * @throws {Error} - If the request is aborted, or fails with a network error.
+ */
+async function fetchWithRetry(url, init = {}, retries = RETRY_LIMIT) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(url, init);
+        const retryable = response.status === 429 || response.status >= 500;
+        if (response.ok || !retryable || attempt >= retries) {
+            return response;
+        }
+
+        const delay = getRetryAfter(response) ?? RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * RETRY_BASE_DELAY_MS;
+        if (delay > RETRY_MAX_DELAY_MS) {
+            return response;
+        }
+
+        console.warn(`Request to ${url} failed with ${response.status}, retrying in ${Math.round(delay)} ms`);
+        await sleep(delay, init.signal);
+    }
+}
+
+/**
+ * Creates the error thrown for a failed gateway response, carrying its `status` and the `retryAfter` delay in milliseconds.
+ * @param {Response} response - The failed response.
+ * @param {string} message - What failed.
+ * @returns {Error} - The error.
+ */
+function createResponseError(response, message) {
+    const error = new Error(`${message}: ${response.status} ${response.statusText}`.trim());
+    error.status = response.status;
+    error.retryAfter = getRetryAfter(response);
+    return error;
+}
+
+/**
+ * Tells why a search failed.
+ * @param {Error} error - The error the search was rejected with.
+ * @returns {string} - One of the `SEARCH_FAILURE` values.
+ */
+function getSearchFailure(error) {
+    if (error.status === 429) return SEARCH_FAILURE.RATE_LIMITED;
+    if (error.status >= 500) return SEARCH_FAILURE.SERVER;
+    // fetch rejects with a TypeError when the request couldn't be sent at all
+    if (!navigator.onLine || error instanceof TypeError) return SEARCH_FAILURE.OFFLINE;
+    return SEARCH_FAILURE.ERROR;
+}
+
+/**
+ * A backend that search results come from. Providers return search nodes, which are turned into the
+ * result objects used throughout the popup, so every provider feeds the same filters, rendering and imports.
+ * @typedef {Object} SearchProvider
+ * @property {string} id - A unique id, stored in the settings when the provider is selected.
+ * @property {string} name - The name shown in the settings.
+ * @property {(options: Object) => Promise<Array<Object>|{nodes: Array<Object>, count: number, approximate?: boolean}>} search - Resolves with
+ * the search nodes of the requested page, or with the nodes and the total number of matches. `approximate` tells that the
+ * count ignores some of the filters, which are then only applied to the returned nodes. Receives the options of `fetchCharactersBySearch` with their defaults applied, including the
+ * `signal` that aborts it. Rejects if the search failed, HTTP failures carry a `status` property (see `createResponseError`).
+ * @property {(node: Object, namespace: string) => Object} [normalize] - Turns a search node into a result object.
+ * Defaults to `normalizeSearchNode`, for nodes in the gateway format.
+ * @property {(fullPath: string, namespace: string) => Promise<Object>} [fetchDetails] - Resolves with the details
+ * of a card, in the format of `fetchCharacterDetails`. The gateway is asked when a provider has none.
+ */
+
+/**
+ * Registers a search provider so it can be selected in the settings. A provider with the same id is replaced.
+ * @param {SearchProvider} provider - The provider to register.
+ */
+export function registerSearchProvider(provider) {
+    if (!provider || !provider.id || typeof provider.search !== 'function') {
+        throw new Error('A search provider needs an id and a search function');
+    }
+    searchProviders.set(provider.id, provider);
+}
+
+/**
+ * Returns the search provider selected in the settings, falling back to the CHUB gateway if it isn't registered.
+ * @returns {SearchProvider} - The active provider.
+ */
+function getSearchProvider() {
+    return searchProviders.get(extension_settings.chub.searchProvider) || searchProviders.get('chub');
+}
+
+/**
+ * Turns a search node in the gateway format into a result object.
+ * @param {Object} node - The search node.
+ * @param {string} namespace - The namespace the node was found in ("characters" or "lorebooks").
+ * @returns {Object} - The result object.
+ */
+function normalizeSearchNode(node, namespace) {
+    // Add defensive null checks for node properties
+    const fullPath = node.fullPath || '';
+    const author = fullPath ? fullPath.split('/')[0] : 'Unknown';
+
+    return {
+        url: null,
+        avatarUrl: node.avatar_url || null,
+        maxResUrl: node.max_res_url || null,
+        description: node.tagline || node.description || "No description available",
+        name: node.name || "Unknown Character",
+        fullPath: fullPath,
+        tags: Array.isArray(node.topics) ? node.topics : [],
+        author: author,
+        id: node.id || null,
+        namespace: node.namespace || namespace,
+        lastActivityAt: node.lastActivityAt || null,
+        createdAt: node.createdAt || null,
+        tokenCount: node.nTokens ?? null,
+        rating: node.rating ?? null,
+        nsfw: Boolean(node.nsfw || node.nsfw_image),
+    };
+}
+
+/**
+ * Searches the CHUB gateway.
+ * @param {Object} options - The search options, see `fetchCharactersBySearch`.
+ * @returns {Promise<{nodes: Array<Object>, count: number|null, approximate: boolean}>} - Resolves with the search nodes and the total number of matches.
+ * @throws {Error} - If the search failed or was aborted.
+ */
+async function searchChubGateway({ searchTerm, includeTags, excludeTags, nsfw, sort, ascending, page, namespace, bypassCache, minTokens, maxTokens, minRating, dateFrom, dateTo, author, limit, signal }) {
+    let include_forks = extension_settings.chub.includeForks;
+    let require_images = extension_settings.chub.requireImages;
+    let require_custom_prompt = extension_settings.chub.requireCustomPrompt;
+    searchTerm = searchTerm ? `search=${encodeURIComponent(searchTerm)}&` : '';
+
+    // Construct the URL with the search parameters, if any
+    //
+    let url = `${getApiUrl('search')}?namespace=${namespace}&${searchTerm}first=${limit}&page=${page}&sort=${sort}&asc=${ascending}&venus=true&include_forks=${include_forks}&nsfw=${nsfw}&require_images=${require_images}&require_custom_prompt=${require_custom_prompt}`;
+
+    // The tag parameters are limited to 100 characters, tags that don't fit are only checked on the client
+    const { packed: includeTagsParam, overflow: includeOverflow } = packTags(includeTags, 100);
+    if (includeTagsParam) {
+        url += `&tags=${encodeURIComponent(includeTagsParam)}`;
+    }
+    const { packed: excludeTagsParam, overflow: excludeOverflow } = packTags(excludeTags, 100);
+    if (excludeTagsParam) {
+        url += `&exclude_tags=${encodeURIComponent(excludeTagsParam)}`;
+    }
+
+    // Advanced filters the gateway understands, they are checked again on the client
+    if (minTokens > 0) url += `&min_tokens=${minTokens}`;
+    if (maxTokens > 0) url += `&max_tokens=${maxTokens}`;
+    if (minRating > 0) url += `&min_rating=${minRating}`;
+    if (author) url += `&username=${encodeURIComponent(author)}`;
+    // The date range has no gateway parameter, so like the tags that didn't fit, the count includes cards outside of it
+    const approximate = Boolean(dateFrom || dateTo) || includeOverflow.length > 0 || excludeOverflow.length > 0;
+
+    let searchData = bypassCache ? null : await cacheGet(url);
+
+    if (!searchData) {
+        const searchResponse = await fetchWithRetry(url, { signal });
+        if (!searchResponse.ok) {
+            console.error('Search request failed', searchResponse.status, searchResponse.statusText);
+            throw createResponseError(searchResponse, 'Search failed');
+        }
+        searchData = await searchResponse.json();
+        await cachePut(url, searchData);
+    }
+
+    // Add comprehensive validation check for searchData existence and structure
+    if (!searchData) {
+        console.warn('No search data received');
+        return { nodes: [], count: null, approximate };
+    }
+    
+    if (!searchData.data) {
+        console.warn('Search data missing data property');
+        return { nodes: [], count: null, approximate };
+    }
+    
+    if (!searchData.data.nodes || !Array.isArray(searchData.data.nodes)) {
+        console.warn('Search data missing nodes array');
+        return { nodes: [], count: null, approximate };
+    }
+
+    return { nodes: searchData.data.nodes, count: Number.isFinite(searchData.data.count) ? searchData.data.count : null, approximate };
+}
+
+/**
+ * Searches a JSON card index, such as an export of a self-hosted mirror. The index is a list of search nodes
+ * in the gateway format (or a gateway search response), which is filtered, sorted and paged on the client.
+ * Nodes may carry a `namespace`, they are treated as characters otherwise.
+ * @param {Object} options - The search options, see `fetchCharactersBySearch`.
+ * @returns {Promise<{nodes: Array<Object>, count: number, approximate: boolean}>} - Resolves with the search nodes of the page and the total number of matches.
+ * @throws {Error} - If no index is set, or it couldn't be loaded.
+ */
+async function searchLocalIndex({ searchTerm, includeTags, excludeTags, nsfw, sort, ascending, page, namespace, bypassCache, minTokens, maxTokens, minRating, dateFrom, dateTo, author, limit, signal }) {
+    const url = extension_settings.chub.localIndexUrl;
+    if (!url) {
+        throw new Error('No card index URL is set in the CHUB Search settings');
+    }
+
+    let data = bypassCache ? null : await cacheGet(url);
+    if (!data) {
+        const response = await fetchWithRetry(url, { signal });
+        if (!response.ok) {
+            console.error('Card index request failed', response.status, response.statusText);
+            throw createResponseError(response, 'Failed to load the card index');
+        }
+        data = await response.json();
+        await cachePut(url, data);
+    }
+
+    const nodes = Array.isArray(data) ? data : (data?.data?.nodes || data?.nodes || []);
+    const term = (searchTerm || '').toLowerCase();
+    const lowerTags = node => (Array.isArray(node.topics) ? node.topics : []).map(tag => String(tag).toLowerCase());
+
+    let matches = nodes.filter(node => {
+        if (!node || (node.namespace || 'characters') !== namespace) return false;
+        const tags = lowerTags(node);
+        if (!nsfw && (node.nsfw || node.nsfw_image || tags.includes('nsfw'))) return false;
+        if (term && ![node.name, node.tagline, node.description].some(text => text && String(text).toLowerCase().includes(term))) return false;
+        if (!includeTags.every(tag => tags.includes(tag.toLowerCase()))) return false;
+        return !excludeTags.some(tag => tags.includes(tag.toLowerCase()));
+    });
+
+    const field = LOCAL_INDEX_SORT_FIELDS[sort];
+    if (sort === 'random') {
+        matches = matches.map(node => [Math.random(), node]).sort((a, b) => a[0] - b[0]).map(([, node]) => node);
+    } else if (field) {
+        const direction = ascending ? 1 : -1;
+        matches.sort((a, b) => {
+            const x = a[field] ?? '';
+            const y = b[field] ?? '';
+            return (typeof x === 'string' || typeof y === 'string' ? String(x).localeCompare(String(y)) : x - y) * direction;
+        });
+    }
+
+    // The advanced filters are left to `fetchCharactersBySearch`, so the count includes cards they remove
+    const approximate = [minTokens, maxTokens, minRating].some(value => value > 0) || Boolean(dateFrom || dateTo || author);
+    return { nodes: matches.slice((page - 1) * limit, page * limit), count: matches.length, approximate };
+}
+
+registerSearchProvider({ id: 'chub', name: 'CHUB gateway', search: searchChubGateway });
+registerSearchProvider({ id: 'local-index', name: 'JSON card index', search: searchLocalIndex });
+
+/**
+ * Fetches characters based on specified search criteria, from the search provider selected in the settings.
+ * @param {Object} options - The search options object.
+ * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
+ * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
+ * @param {Array<string>} [options.excludeTags] - A list of tags that the returned characters should not include.
+ * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
+ * @param {string} [options.sort] - The criteria by which to sort the characters. Defaults to the extension settings.
+ * @param {boolean} [options.ascending] - Whether to sort in ascending order. Defaults to the extension settings.
+ * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
+ * @param {string} [options.namespace='characters'] - The gateway namespace to search ("characters" or "lorebooks").
+ * @param {boolean} [options.bypassCache=false] - Whether to skip the cached response and query the gateway again.
+ * @param {number} [options.minTokens] - The minimum token count of the returned characters.
+ * @param {number} [options.maxTokens] - The maximum token count of the returned characters.
+ * @param {number} [options.minRating] - The minimum rating of the returned characters.
+ * @param {string} [options.dateField='created'] - Which date the date range applies to ("created" or "updated").
+ * @param {string} [options.dateFrom] - The earliest date (YYYY-MM-DD) of the returned characters.
+ * @param {string} [options.dateTo] - The latest date (YYYY-MM-DD) of the returned characters.
+ * @param {string} [options.author] - The username of the author of the returned characters.
+ * @param {number} [options.limit] - How many results to request. Defaults to the extension settings.
+ * @param {AbortSignal} [options.signal] - Aborts the search.
+ * @returns {Promise<{characters: Array, count: number|null, approximate: boolean, hasMore: boolean}>} - Resolves with an array of character
+ * objects that match the search criteria, the total number of matches if the provider reports it, whether that number is only an
+ * upper bound because some filters are applied on the client, and whether there are more pages.
+ * @throws {Error} - If the search failed or was aborted, see `getSearchFailure`.
+ */
+async function fetchCharactersBySearch({ searchTerm, includeTags = [], excludeTags = [], nsfw, sort, ascending, page=1, namespace='characters', bypassCache=false, minTokens, maxTokens, minRating, dateField='created', dateFrom, dateTo, author, limit, signal }) {
+    const provider = getSearchProvider();
+
+    limit = limit || extension_settings.chub.findCount;
+    page = Math.max(1, parseInt(page) || 1);
+    nsfw = nsfw ?? extension_settings.chub.nsfw;  // Default to extension settings if not provided
+    sort = sort || extension_settings.chub.defaultSort || 'download_count';
+    ascending = ascending ?? extension_settings.chub.sortAscending;
+    //remove tags that contain no characters, and always exclude the blocked ones
+    includeTags = includeTags.filter(tag => tag.length > 0);
+    excludeTags = [...new Set([...excludeTags, ...extension_settings.chub.blockedTags].filter(tag => tag.length > 0))];
+
+    const response = await provider.search({ searchTerm, includeTags, excludeTags, nsfw, sort, ascending, page, namespace, bypassCache, minTokens, maxTokens, minRating, dateField, dateFrom, dateTo, author, limit, signal });
+    const { nodes, count = null, approximate = false } = Array.isArray(response) ? { nodes: response } : response;
+    // Without a total count, a full page is the only hint that another one follows
+    const hasMore = count !== null ? page * limit < count : nodes.length >= limit;
+
+    if (nodes.length === 0) {
+        console.log('No characters found in search results');
+        return { characters: [], count, approximate, hasMore: false };
+    }
+
+    // Results are built from the search metadata alone, avatars are loaded lazily once rendered
+    const normalize = provider.normalize || normalizeSearchNode;
+    let results = nodes.filter(node => node).map(node => normalize(node, namespace));
+
+    results.forEach(character => rememberTags(character.tags));
+
+    // Client-side fallback for filters the provider ignored, and for tags past the length limit
+    results = results.filter(character =>
+        matchesAdvancedFilters(character, { minTokens, maxTokens, minRating, dateField, dateFrom, dateTo, author }) &&
+        hasIncludedTags(character, includeTags) &&
+        !hasExcludedTag(character, excludeTags) &&
+        !isBlocked(character)
+    );
+
+    const filtered = results.length < nodes.filter(node => node).length;
+    return { characters: results, count, approximate: approximate || filtered, hasMore };
+}
+
+/**
+ * Joins as many whole tags as fit into a comma separated parameter of limited length.
+ * @param {Array<string>} tags - The tags to pack.
+ * @param {number} maxLength - The maximum length of the packed parameter.
+ * @returns {{packed: string, overflow: Array<string>}} - The packed parameter and the tags that didn't fit.
+ */
+function packTags(tags, maxLength) {
+    const packed = [];
+    const overflow = [];
+    let length = 0;
+
+    for (const tag of tags) {
+        const added = packed.length > 0 ? tag.length + 1 : tag.length;
+        if (length + added <= maxLength) {
+            packed.push(tag);
+            length += added;
+        } else {
+            overflow.push(tag);
+        }
+    }
+
+    return { packed: packed.join(','), overflow };
+}
+
+/**
+ * Checks whether a search result carries all of the given tags, ignoring case.
+ * @param {Object} character - The search result.
+ * @param {Array<string>} tags - The tags to look for.
+ * @returns {boolean} - Whether all of the tags are present.
+ */
+function hasIncludedTags(character, tags) {
+    if (tags.length === 0) return true;
+    const present = new Set(character.tags.map(tag => String(tag).toLowerCase()));
+    return tags.every(tag => present.has(tag.toLowerCase()));
+}
+
+/**
+ * Checks whether a search result carries any of the given tags, ignoring case.
+ * @param {Object} character - The search result.
+ * @param {Array<string>} tags - The tags to look for.
+ * @returns {boolean} - Whether one of the tags is present.
+ */
+function hasExcludedTag(character, tags) {
+    if (tags.length === 0) return false;
+    const excluded = new Set(tags.map(tag => tag.toLowerCase()));
+    return character.tags.some(tag => excluded.has(String(tag).toLowerCase()));
+}
+
+/**
+ * Checks whether a search result is hidden by the blocklist, either by its author or one of its tags.
+ * @param {Object} character - The search result.
+ * @returns {boolean} - Whether the result is blocked.
+ */
+function isBlocked(character) {
+    const author = String(character.author).toLowerCase();
+    return extension_settings.chub.blockedAuthors.some(blocked => blocked.toLowerCase() === author) ||
+        hasExcludedTag(character, extension_settings.chub.blockedTags);
+}
+
+/**
+ * Adds a tag or an author to the blocklist and removes the matching results from the view.
+ * @param {string} kind - Either "tag" or "author".
+ * @param {string} value - The tag or author username to block.
+ */
+function addToBlocklist(kind, value) {
+    value = String(value || '').trim();
+    if (!value) return;
+
+    const list = kind === 'author' ? extension_settings.chub.blockedAuthors : extension_settings.chub.blockedTags;
+    if (!list.some(entry => entry.toLowerCase() === value.toLowerCase())) {
+        list.push(value);
+        saveSettingsDebounced();
+    }
+
+    toastr.info(`Blocked ${kind} "${value}"`, 'CHUB Search');
+    chubCharacters = chubCharacters.filter(character => !isBlocked(character));
+    if (activeTab === 'search') {
+        updateCharacterListInView(chubCharacters);
+    }
+    renderBlocklistSettings();
+}
+
+/**
+ * Removes a tag or an author from the blocklist.
+ * @param {string} kind - Either "tag" or "author".
+ * @param {string} value - The tag or author username to unblock.
+ */
+function removeFromBlocklist(kind, value) {
+    const key = kind === 'author' ? 'blockedAuthors' : 'blockedTags';
+    extension_settings.chub[key] = extension_settings.chub[key].filter(entry => entry !== value);
+    saveSettingsDebounced();
+    renderBlocklistSettings();
+}
+
+/**
+ * Renders the blocked tags and authors into the settings drawer.
+ */
+function renderBlocklistSettings() {
+    const render = (kind, list) => list.length === 0
+        ? '<span class="chub-blocklist-empty">Nothing blocked</span>'
+        : list.map(value => `
+            <span class="tag chub-blocklist-entry">
+                ${escapeHtml(value)}
+                <i class="fa-solid fa-xmark chub-unblock-btn" data-kind="${kind}" data-value="${escapeHtml(value)}" title="Unblock"></i>
+            </span>`).join('');
+
+    $("#chub_blocked_tags").html(render('tag', extension_settings.chub.blockedTags));
+    $("#chub_blocked_authors").html(render('author', extension_settings.chub.blockedAuthors));
+}
+
+/**
+ * Checks a search result against the advanced filters. Values the result doesn't carry are not filtered on.
+ * @param {Object} character - The search result.
+ * @param {Object} filters - The advanced filters, as passed to `fetchCharactersBySearch`.
+ * @returns {boolean} - Whether the result passes every filter.
+ */
+function matchesAdvancedFilters(character, { minTokens, maxTokens, minRating, dateField, dateFrom, dateTo, author }) {
+    if (character.tokenCount !== null) {
+        if (minTokens > 0 && character.tokenCount < minTokens) return false;
+        if (maxTokens > 0 && character.tokenCount > maxTokens) return false;
+    }
+
+    if (minRating > 0 && character.rating !== null && character.rating < minRating) return false;
+
+    if (author && character.author.toLowerCase() !== author.toLowerCase()) return false;
+
+    const date = Date.parse(dateField === 'updated' ? character.lastActivityAt : character.createdAt);
+    if (!isNaN(date)) {
+        if (dateFrom && date < Date.parse(dateFrom)) return false;
+        // The end date is inclusive, so compare against the start of the following day
+        if (dateTo && date >= Date.parse(dateTo) + 24 * 60 * 60 * 1000) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Searches for characters, replacing the current results. A search still in flight is aborted,
+ * so an older search can never overwrite the results of a newer one.
+ * @param {Object} options - The search options, see `fetchCharactersBySearch`.
+ * @returns {Promise<{characters: Array<Object>, count: number|null, hasMore: boolean}|{failure: string, error: Error}|null>} -
+ * Resolves with the new results and their paging, with why the search failed, or with null if a newer search replaced this one.
+ */
+async function searchCharacters(options) {
+    if (characterListContainer && !document.body.contains(characterListContainer)) {
+        console.log('Character list container is not in the DOM, removing reference');
+        characterListContainer = null;
+    }
+    // grey out the character-list-popup while we're searching
+    if (characterListContainer) {
+        characterListContainer.classList.add('searching');
+    }
+
+    searchController?.abort();
+    const controller = new AbortController();
+    searchController = controller;
+
+    console.log('Searching for characters', options);
+    try {
+        const { characters, count, approximate, hasMore } = await fetchCharactersBySearch({ ...options, signal: controller.signal });
+        if (controller.signal.aborted) return null;
+
+        releaseAvatarUrls();
+        chubCharacters = characters;
+        return { characters: chubCharacters, count, approximate, hasMore };
+    } catch (error) {
+        if (controller.signal.aborted) return null;
+
+        console.error('Search failed', error);
+        return { failure: getSearchFailure(error), error };
+    } finally {
+        if (searchController === controller) {
+            searchController = null;
+            characterListContainer?.classList.remove('searching');
+        }
+    }
+}
+
+/**
+ * Shows why a search failed in place of the results, with a button to search again.
+ * @param {string} failure - One of the `SEARCH_FAILURE` values.
+ * @param {Error} error - The error the search failed with.
+ */
+function renderSearchFailure(failure, error) {
+    if (!characterListContainer) return;
+
+    const retryIn = error.retryAfter ? ` Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.` : '';
+    const messages = {
+        [SEARCH_FAILURE.RATE_LIMITED]: { icon: 'fa-hourglass-half', text: `CHUB is rate limiting searches.${retryIn || ' Wait a moment before searching again.'}` },
+        [SEARCH_FAILURE.OFFLINE]: { icon: 'fa-plug-circle-xmark', text: "Can't reach CHUB. Check your connection." },
+        [SEARCH_FAILURE.SERVER]: { icon: 'fa-server', text: `CHUB is having problems (${error.status}).${retryIn}` },
+        [SEARCH_FAILURE.ERROR]: { icon: 'fa-triangle-exclamation', text: error.message },
+    };
+    const { icon, text } = messages[failure];
+
+    const element = createElement('div', { className: `no-characters-found search-failure search-failure-${failure}` });
+    element.append(createElement('i', { className: `fa-solid ${icon}` }), ' ', text);
+
+    const retryButton = createElement('div', { className: 'menu_button', text: 'Search again' });
+    retryButton.addEventListener('click', () => {
+        if (lastSearchOptions) executeCharacterSearch({ ...lastSearchOptions, bypassCache: true });
+    });
+    element.append(retryButton);
+
+    characterListContainer.replaceChildren(element);
+}
+
+/**
+ * Opens the character search popup UI.
+ */
+function openSearchPopup() {
+    displayCharactersInListViewPopup();
+}
+
+/**
+ * Executes a character search based on provided options and updates the view with the results.
+ * @param {Object} options - The search criteria/options for fetching characters.
+ * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
+ */
+async function executeCharacterSearch(options) {
+    lastSearchOptions = options;
+    const result = await searchCharacters(options);
+    // A newer search is running and will update the view
+    if (!result) return;
+
+    hideCharacterDetails();
+    activeTab = 'search';
+    updateTabButtons();
+
+    if (result.failure) {
+        renderSearchFailure(result.failure, result.error);
+        return;
+    }
+
+    pagination = { page: Math.max(1, parseInt(options.page) || 1), count: result.count, approximate: result.approximate, hasMore: result.hasMore, loading: false };
+    updatePaginationControls();
+
+    const characters = result.characters;
+    if (characters && characters.length > 0) {
+        console.log('Updating character list');
+        updateCharacterListInView(characters);
+        maybeLoadNextPage();
+    } else if (characterListContainer) {
+        console.log('No characters found');
+        characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
+    }
+    savePopupState();
+}
+
+/**
+ * Shows the result count and the state of the page buttons, or hides the buttons in infinite scroll mode.
+ */
+function updatePaginationControls() {
+    const infinite = extension_settings.chub.infiniteScroll;
+    const limit = lastSearchOptions?.limit || extension_settings.chub.findCount;
+    const lastPage = pagination.count !== null ? Math.max(1, Math.ceil(pagination.count / limit)) : null;
+
+    document.querySelector('.page-controls')?.classList.toggle('displayNone', infinite);
+    const pageUpButton = document.getElementById('pageUpButton');
+    if (pageUpButton) pageUpButton.disabled = !pagination.hasMore;
+    const pageDownButton = document.getElementById('pageDownButton');
+    if (pageDownButton) pageDownButton.disabled = pagination.page <= 1;
+    const pageNumber = document.getElementById('pageNumber');
+    if (pageNumber) pageNumber.max = lastPage ?? '';
+
+    const label = document.querySelector('.result-count');
+    if (!label || !lastSearchOptions) return;
+
+    // With filters applied on the client only, the count of the provider is an upper bound
+    const about = pagination.approximate ? 'up to ' : '';
+    if (infinite) {
+        label.textContent = pagination.count !== null
+            ? `${chubCharacters.length} of ${about}${pagination.count} results`
+            : `${chubCharacters.length} results`;
+    } else {
+        label.textContent = lastPage !== null
+            ? `Page ${pagination.page} of ${about}${lastPage}, ${about}${pagination.count} results`
+            : `Page ${pagination.page}`;
+    }
+    label.title = pagination.approximate ? 'Some filters are only applied to the loaded results, so fewer cards may match' : '';
+}
+
+/**
+ * Loads the next page of the search results when infinite scroll is on and the list is scrolled near its bottom,
+ * or doesn't fill its height yet.
+ */
+function maybeLoadNextPage() {
+    // A hidden list (e.g. behind the detail pane) has no height and would always look scrolled to the bottom
+    if (!extension_settings.chub.infiniteScroll || restoringPages || !characterListContainer || characterListContainer.offsetParent === null) return;
+
+    const { scrollTop, clientHeight, scrollHeight } = characterListContainer;
+    if (scrollTop + clientHeight >= scrollHeight - 200) {
+        loadNextPage();
+    }
+}
+
+/**
+ * Appends the next page of the search results to the list. A new search aborts it.
+ * @returns {Promise<void>} - Resolves once the page has been appended, or failed to load.
+ */
+async function loadNextPage() {
+    if (!lastSearchOptions || !pagination.hasMore || pagination.loading || searchController || activeTab !== 'search') return;
+
+    const controller = new AbortController();
+    searchController = controller;
+    pagination.loading = true;
+    const page = pagination.page + 1;
+    const loading = createElement('div', { className: 'no-characters-found loading-more' });
+    loading.append(createElement('i', { className: 'fa-solid fa-spinner fa-spin' }), ' Loading more...');
+    characterListContainer.append(loading);
+
+    try {
+        const { characters, count, approximate, hasMore } = await fetchCharactersBySearch({ ...lastSearchOptions, page, signal: controller.signal });
+        if (controller.signal.aborted) return;
+
+        // Results can shift between pages while paging, so a card is never listed twice
+        const known = new Set(chubCharacters.map(character => character.fullPath));
+        const added = characters.filter(character => !known.has(character.fullPath));
+        const start = chubCharacters.length;
+        chubCharacters.push(...added);
+
+        pagination = { page, count, approximate: pagination.approximate || approximate, hasMore, loading: false };
+        loading.remove();  // the new rows would end up below the spinner otherwise
+        characterListContainer.append(...added.map((character, i) => renderCharacterListItem(character, start + i)));
+        observeAvatars();
+        updatePaginationControls();
+        savePopupState();
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Loading the next page failed', error);
+        toastr.warning(`Couldn't load more results: ${error.message}`);
+        // Stop here instead of retrying on every scroll, searching again starts over
+        pagination.hasMore = false;
+    } finally {
+        loading.remove();
+        pagination.loading = false;
+        if (searchController === controller) {
+            searchController = null;
+        }
+    }
+
+    if (!controller.signal.aborted) {
+        maybeLoadNextPage();
+    }
+}
+
+
+/**
+ * Fetches the full definition of a character or lorebook from the gateway.
+ * @param {string} fullPath - The full path of the character (e.g., "user/character-name").
+ * @param {string} [namespace='characters'] - The gateway namespace of the content ("characters" or "lorebooks").
+ * @returns {Promise<Object>} - Resolves with the normalized character details.
+ * @throws {Error} - If the request fails or the response has no character node.
+ */
+async function fetchCharacterDetails(fullPath, namespace = 'characters') {
+    const provider = getSearchProvider();
+    if (provider.fetchDetails) {
+        return provider.fetchDetails(fullPath, namespace);
+    }
+
+    const url = `${getApiUrl('api')}/${namespace}/${fullPath.split('/').map(encodeURIComponent).join('/')}?full=true`;
+    const response = await fetchWithRetry(url);
+
+    if (!response.ok) {
+        console.error('Character details request failed', response.status, response.statusText);
+        throw createResponseError(response, 'Failed to load character details');
+    }
+
+    const data = await response.json();
+    const node = data && data.node;
+    if (!node) {
+        throw new Error('Character details missing from response');
+    }
+
+    const definition = node.definition || {};
+    const lorebook = definition.embedded_lorebook || {};
+
+    return {
+        fullPath: node.fullPath || fullPath,
+        id: node.id ?? null,
+        name: node.name || definition.name || "Unknown Character",
+        tagline: node.tagline || '',
+        creatorNotes: node.description || '',
+        description: definition.description || '',
+        personality: definition.personality || definition.tavern_personality || '',
+        scenario: definition.scenario || '',
+        firstMessage: definition.first_message || '',
+        alternateGreetings: Array.isArray(definition.alternate_greetings) ? definition.alternate_greetings : [],
+        exampleDialogue: definition.example_dialogs || '',
+        lorebookEntries: Array.isArray(lorebook.entries) ? lorebook.entries : [],
+        tokenCount: node.nTokens || null,
+        lastActivityAt: node.lastActivityAt || null,
+        tags: Array.isArray(node.topics) ? node.topics : [],
+        avatarUrl: node.max_res_url || node.avatar_url || '',
+    };
+}
+
+/**
+ * Opens the detail pane of the popup and loads the full definition of a character or lorebook into it.
+ * @param {string} fullPath - The full path of the character to show.
+ * @param {string} [namespace='characters'] - The gateway namespace of the content ("characters" or "lorebooks").
+ * @returns {Promise<void>} - Resolves once the details have been rendered, or an error was shown.
+ */
+async function showCharacterDetails(fullPath, namespace = 'characters') {
+    const pane = document.querySelector('.character-detail');
+    if (!pane) return;
+
+    const content = pane.querySelector('.character-detail-content');
+    pane.querySelector('#detailImportButton').classList.remove('displayNone');
+    pane.querySelector('#detailImportButton').setAttribute('data-path', fullPath);
+    pane.querySelector('#detailImportButton').setAttribute('data-namespace', namespace);
+    pane.setAttribute('data-path', fullPath);
+    content.innerHTML = '<div class="character-detail-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading...</div>';
+    pane.classList.remove('displayNone');
+
+    let details;
+    try {
+        details = await fetchCharacterDetails(fullPath, namespace);
+    } catch (error) {
+        console.error('Error loading character details:', error);
+        content.innerHTML = `<div class="character-detail-error">${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    // The user may have opened another character while this one was loading
+    if (pane.getAttribute('data-path') !== fullPath) return;
+
+    const section = (title, text, open = false) => text ? `
+        <details class="character-detail-section"${open ? ' open' : ''}>
+            <summary>${title}</summary>
+            <div class="character-detail-text">${escapeHtml(text)}</div>
+        </details>` : '';
+
+    content.innerHTML = `
+        <div class="character-detail-header">
+            <h3>${escapeHtml(details.name)}</h3>
+            <div class="author">by ${escapeHtml(details.fullPath.split('/')[0])}</div>
+            ${details.tokenCount ? `<div class="character-detail-tokens">${escapeHtml(String(details.tokenCount))} tokens</div>` : ''}
+            <div class="tags">${details.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>
+        </div>
+        ${section('Creator Notes', details.creatorNotes, true)}
+        ${section('Description', details.description, true)}
+        ${section('Personality', details.personality)}
+        ${section('Scenario', details.scenario)}
+        ${section('First Message', details.firstMessage, true)}
+        ${details.alternateGreetings.map((greeting, i) => section(`Alternate Greeting ${i + 1}`, greeting)).join('')}
+        ${section('Example Dialogue', details.exampleDialogue)}
+        ${details.lorebookEntries.map((entry, i) => section(
+            `Entry ${i + 1}: ${escapeHtml((Array.isArray(entry.keys) ? entry.keys : []).join(', ') || entry.name || entry.comment || '')}`,
+            entry.content,
+        )).join('')}
+    `;
+}
+
+/**
+ * Hides the detail pane of the popup.
+ */
+function hideCharacterDetails() {
+    const pane = document.querySelector('.character-detail');
+    if (pane) {
+        pane.classList.add('displayNone');
+        pane.removeAttribute('data-path');
+    }
+}
+
+/**
+ * Lists the content warnings of a result: "NSFW" when the gateway flags it, and each of its tags that is in
+ * the sensitive tags of the settings.
+ * @param {Object} character - The result.
+ * @returns {Array<string>} - The warnings, empty if the result isn't sensitive.
+ */
+function getContentWarnings(character) {
+    const sensitive = new Set(extension_settings.chub.sensitiveTags.map(tag => tag.toLowerCase()));
+    const warnings = (Array.isArray(character.tags) ? character.tags : [])
+        .map(String)
+        .filter(tag => sensitive.has(tag.toLowerCase()));
+
+    if (character.nsfw && !warnings.some(tag => tag.toLowerCase() === 'nsfw')) {
+        warnings.unshift('NSFW');
+    }
+    return warnings;
+}
+
+/**
+ * Tells how a result is shown according to the sensitive content setting.
+ * @param {Object} character - The result.
+ * @returns {string} - "hide", "blur" until the result is revealed, or "show".
+ */
+function getSensitiveDisplay(character) {
+    if (getContentWarnings(character).length === 0) return 'show';
+
+    const display = extension_settings.chub.sensitiveDisplay;
+    if (display === 'blur' && character.revealed) return 'show';
+    return Object.hasOwn(SENSITIVE_DISPLAY, display) ? display : 'blur';
+}
+
+/**
+ * Generates the list item of a result, with its selection, library, favorite, follow and sensitive status.
+ * @param {Object} character - The result.
+ * @param {number} index - The index of the result in the list.
+ * @returns {HTMLElement} - The element of the list item.
+ */
+function renderCharacterListItem(character, index) {
+    const fullPath = String(character.fullPath || "");
+    return generateCharacterListItem(character, index, {
+        selected: selectedCharacters.has(fullPath),
+        inLibrary: character.namespace === 'characters' && findLibraryCharacter(character) !== null,
+        favorite: isFavorite(fullPath),
+        followed: isFollowed(String(character.author || "Unknown")),
+        warnings: getContentWarnings(character),
+        sensitiveDisplay: getSensitiveDisplay(character),
+    });
+}
+
+
+/**
+ * Reads the search form of the popup.
+ * @returns {Object} - The raw values of the search form, as used by saved searches and the search history.
+ */
+function getSearchFormState() {
+    const value = (id) => document.getElementById(id).value;
+
+    return {
+        searchTerm: value('characterSearchInput'),
+        includeTags: value('includeTags'),
+        excludeTags: value('excludeTags'),
+        sort: value('sortOrder'),
+        nsfw: document.getElementById('nsfwCheckbox').checked,
+        namespace: value('contentNamespace'),
+        minTokens: value('minTokens'),
+        maxTokens: value('maxTokens'),
+        minRating: value('minRating'),
+        dateField: value('dateField'),
+        dateFrom: value('dateFrom'),
+        dateTo: value('dateTo'),
+        author: value('authorFilter'),
+    };
+}
+
+/**
+ * Fills the search form of the popup from a saved state. Missing values fall back to the defaults.
+ * @param {Object} state - The raw form values, as returned by `getSearchFormState`.
+ */
+function applySearchFormState(state) {
+    const set = (id, value) => document.getElementById(id).value = value ?? '';
+
+    set('characterSearchInput', state.searchTerm);
+    set('includeTags', state.includeTags);
+    set('excludeTags', state.excludeTags);
+    renderTagChips('includeTags');
+    renderTagChips('excludeTags');
+    set('sortOrder', state.sort || extension_settings.chub.defaultSort);
+    document.getElementById('nsfwCheckbox').checked = state.nsfw ?? extension_settings.chub.nsfw;
+    set('contentNamespace', state.namespace || 'characters');
+    set('minTokens', state.minTokens);
+    set('maxTokens', state.maxTokens);
+    set('minRating', state.minRating);
+    set('dateField', state.dateField || 'created');
+    set('dateFrom', state.dateFrom);
+    set('dateTo', state.dateTo);
+    set('authorFilter', state.author);
+}
+
+/**
+ * Converts the raw values of the search form into options for `fetchCharactersBySearch`.
+ * @param {Object} state - The raw form values, as returned by `getSearchFormState`.
+ * @returns {Object} - The search options, without the page.
+ */
+function searchOptionsFromState(state) {
+    const splitAndTrim = (str) => {
+        str = String(str || '').trim(); // Trim the entire string first
+        if (!str.includes(',')) {
+            return [str];
+        }
+        return str.split(',').map(tag => tag.trim());
+    };
+
+    return {
+        searchTerm: state.searchTerm,
+        includeTags: splitAndTrim(state.includeTags),
+        excludeTags: splitAndTrim(state.excludeTags),
+        nsfw: state.nsfw,
+        sort: state.sort,
+        namespace: state.namespace || 'characters',
+        minTokens: parseInt(state.minTokens) || 0,
+        maxTokens: parseInt(state.maxTokens) || 0,
+        minRating: parseFloat(state.minRating) || 0,
+        dateField: state.dateField || 'created',
+        dateFrom: state.dateFrom || '',
+        dateTo: state.dateTo || '',
+        author: String(state.author || '').trim(),
+    };
+}
+
+/**
+ * Builds a short readable label for a search state, used in the recent searches list.
+ * @param {Object} state - The raw form values.
+ * @returns {string} - The label.
+ */
+function describeSearchState(state) {
+    const parts = [];
+    if (state.searchTerm) parts.push(`"${state.searchTerm}"`);
+    if (state.includeTags) parts.push(`+${state.includeTags}`);
+    if (state.excludeTags) parts.push(`-${state.excludeTags}`);
+    if (state.author) parts.push(`by ${state.author}`);
+    if (state.namespace && state.namespace !== 'characters') parts.push(CONTENT_NAMESPACES[state.namespace] || state.namespace);
+    parts.push(SORT_OPTIONS[state.sort] || state.sort);
+    return parts.join(' ');
+}
+
+/**
+ * Puts a search at the top of the recent searches, dropping duplicates and the oldest entries.
+ * @param {Object} state - The raw form values of the search.
+ */
+function recordSearchHistory(state) {
+    const key = JSON.stringify(state);
+    const history = extension_settings.chub.searchHistory.filter(entry => JSON.stringify(entry) !== key);
+    history.unshift(state);
+    extension_settings.chub.searchHistory = history.slice(0, SEARCH_HISTORY_LIMIT);
+    saveSettingsDebounced();
+    renderSavedSearchOptions();
+}
+
+/**
+ * Renders the saved and recent searches into the dropdown of the popup.
+ */
+function renderSavedSearchOptions() {
+    const select = document.getElementById('savedSearchSelect');
+    if (!select) return;
+
+    const { savedSearches, searchHistory } = extension_settings.chub;
+    select.innerHTML = `
+        <option value="">Saved & recent searches...</option>
+        <optgroup label="Saved">
+            ${savedSearches.map((entry, i) => `<option value="saved:${i}">${escapeHtml(entry.name)}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Recent">
+            ${searchHistory.map((state, i) => `<option value="recent:${i}">${escapeHtml(describeSearchState(state))}</option>`).join('')}
+        </optgroup>
+    `;
+}
+
+/**
+ * Asks for a name and saves the current search form under it, replacing a saved search with the same name.
+ * @returns {Promise<void>} - Resolves once the search has been saved, or the prompt was cancelled.
+ */
+async function saveCurrentSearch() {
+    const state = getSearchFormState();
+    const name = await new Popup('Name this search', POPUP_TYPE.INPUT, describeSearchState(state)).show();
+    if (!name || typeof name !== 'string') return;
+
+    const savedSearches = extension_settings.chub.savedSearches.filter(entry => entry.name !== name);
+    savedSearches.push({ name, state });
+    extension_settings.chub.savedSearches = savedSearches;
+    saveSettingsDebounced();
+    renderSavedSearchOptions();
+    toastr.success(`Saved search "${name}"`);
+}
+
+/**
+ * Downloads the saved searches as a JSON file.
+ */
+function exportSavedSearches() {
+    const json = JSON.stringify({ savedSearches: extension_settings.chub.savedSearches }, null, 4);
+    download(json, 'chub-saved-searches.json', 'application/json');
+}
+
+/**
+ * Merges saved searches from a JSON file, replacing saved searches with the same name.
+ * @param {File} file - The JSON file, as produced by `exportSavedSearches`.
+ * @returns {Promise<void>} - Resolves once the searches have been imported.
+ */
+async function importSavedSearches(file) {
+    let imported;
+    try {
+        const data = JSON.parse(await file.text());
+        imported = Array.isArray(data) ? data : data.savedSearches;
+        if (!Array.isArray(imported)) throw new Error('No saved searches found');
+    } catch (error) {
+        console.error('Error importing saved searches:', error);
+        toastr.error('Invalid saved searches file');
+        return;
+    }
+
+    const valid = imported.filter(entry => entry && typeof entry.name === 'string' && entry.state && typeof entry.state === 'object');
+    const names = new Set(valid.map(entry => entry.name));
+    extension_settings.chub.savedSearches = [
+        ...extension_settings.chub.savedSearches.filter(entry => !names.has(entry.name)),
+        ...valid,
+    ];
+    saveSettingsDebounced();
+    renderSavedSearchOptions();
+    toastr.success(`Imported ${valid.length} saved search(es)`);
+}
+
+/**
+ * Reads the tags of a tag field of the search form.
+ * @param {string} fieldId - The id of the hidden input holding the tags ("includeTags" or "excludeTags").
+ * @returns {Array<string>} - The tags of the field.
+ */
+function getFieldTags(fieldId) {
+    return document.getElementById(fieldId).value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+}
+
+/**
+ * Replaces the tags of a tag field and runs the search again.
+ * @param {string} fieldId - The id of the hidden input holding the tags.
+ * @param {Array<string>} tags - The new tags of the field.
+ */
+function setFieldTags(fieldId, tags) {
+    const input = document.getElementById(fieldId);
+    input.value = [...new Set(tags)].join(', ');
+    renderTagChips(fieldId);
+    input.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Adds a tag to a tag field, unless it's already there.
+ * @param {string} fieldId - The id of the hidden input holding the tags.
+ * @param {string} tag - The tag to add.
+ */
+function addTagToField(fieldId, tag) {
+    tag = String(tag || '').trim();
+    const tags = getFieldTags(fieldId);
+    if (!tag || tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) return;
+    setFieldTags(fieldId, [...tags, tag]);
+}
+
+/**
+ * Renders the tags of a tag field as removable chips.
+ * @param {string} fieldId - The id of the hidden input holding the tags.
+ */
+function renderTagChips(fieldId) {
+    const chips = document.querySelector(`.tag-field[data-field="${fieldId}"] .tag-chips`);
+    if (!chips) return;
+
+    chips.innerHTML = getFieldTags(fieldId).map(tag => `
+        <span class="tag tag-chip">
+            ${escapeHtml(tag)}
+            <i class="fa-solid fa-xmark tag-chip-remove" data-tag="${escapeHtml(tag)}" title="Remove"></i>
+        </span>`).join('');
+}
+
+/**
+ * Adds tags seen in search results to the autocomplete suggestions.
+ * @param {Array<string>} tags - The tags of a search result.
+ */
+function rememberTags(tags) {
+    for (const tag of tags) {
+        if (!knownTags.has(tag)) {
+            knownTags.set(tag, 0);
+        }
+    }
+}
+
+/**
+ * Loads the tags known to the gateway, with their usage counts, for autocomplete.
+ * The response goes through the search cache so it isn't requested on every popup open.
+ * @returns {Promise<void>} - Resolves once the tags are loaded, or failed to load.
+ */
+async function loadKnownTags() {
+    if (knownTagsLoaded) return;
+    knownTagsLoaded = true;
+
+    try {
+        const url = getApiUrl('tags');
+        let data = await cacheGet(url);
+        if (!data) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            data = await response.json();
+            await cachePut(url, data);
+        }
+
+        const tags = Array.isArray(data) ? data : (data.tags || []);
+        for (const tag of tags) {
+            const name = typeof tag === 'string' ? tag : tag?.name;
+            if (!name) continue;
+            knownTags.set(name, Number(tag.non_private_projects_count ?? tag.count) || 0);
+        }
+    } catch (error) {
+        console.error('Error loading tags for autocomplete:', error);
+        // Allow another attempt the next time a tag field is used
+        knownTagsLoaded = false;
+    }
+}
+
+/**
+ * Finds the known tags matching what has been typed into a tag field, most used first.
+ * @param {string} term - The typed text.
+ * @returns {Array<{label: string, value: string}>} - The suggestions for the autocomplete menu.
+ */
+function suggestTags(term) {
+    term = term.trim().toLowerCase();
+    if (!term) return [];
+
+    return Array.from(knownTags.entries())
+        .filter(([name]) => name.toLowerCase().includes(term))
+        .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+        .slice(0, 15)
+        .map(([name, count]) => ({ label: count ? `${name} (${count})` : name, value: name }));
+}
+
+/**
+ * Binds the text input of a tag field: autocomplete, Enter or comma to add a chip,
+ * Backspace on an empty input to remove the last one, and the chip remove buttons.
+ * @param {string} fieldId - The id of the hidden input holding the tags.
+ */
+function bindTagField(fieldId) {
+    const field = document.querySelector(`.tag-field[data-field="${fieldId}"]`);
+    const input = field.querySelector('.tag-field-input');
+
+    const commit = () => {
+        const tags = input.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        input.value = '';
+        if (tags.length > 0) {
+            setFieldTags(fieldId, [...getFieldTags(fieldId), ...tags]);
+        }
+    };
+
+    input.addEventListener('focus', loadKnownTags);
+    input.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter' && $(input).autocomplete('widget').find('.ui-state-active').length > 0) {
+            // Let the autocomplete menu pick the highlighted suggestion
+            return;
+        }
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            commit();
+        } else if (event.key === 'Backspace' && input.value === '') {
+            setFieldTags(fieldId, getFieldTags(fieldId).slice(0, -1));
+        }
+    });
+    input.addEventListener('blur', commit);
+
+    $(input).autocomplete({
+        source: (request, response) => response(suggestTags(request.term)),
+        select: (event, ui) => {
+            input.value = '';
+            addTagToField(fieldId, ui.item.value);
+            return false;
+        },
+        minLength: 1,
+    });
+
+    field.addEventListener('click', function (event) {
+        if (event.target.classList.contains('tag-chip-remove')) {
+            const tag = event.target.getAttribute('data-tag');
+            setFieldTags(fieldId, getFieldTags(fieldId).filter(existing => existing !== tag));
+        } else {
+            input.focus();
+        }
+    });
+
+    renderTagChips(fieldId);
+}
 
-    return characters;
+// good ol' clamping
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
 }
 
 /**
- * Opens the character search popup UI.
+ * Captures what is needed to rebuild the popup as it was: the search form, the page, the tab and the scroll offset.
+ * The view mode and density are kept in their own settings.
+ * @returns {Object|null} - The popup state, or null if the popup isn't open.
  */
-function openSearchPopup() {
-    displayCharactersInListViewPopup();
+function getPopupState() {
+    if (!characterListContainer || !document.body.contains(characterListContainer)) return null;
+
+    return {
+        form: getSearchFormState(),
+        page: pagination.page,
+        tab: activeTab,
+        scrollTop: characterListContainer.scrollTop,
+        searched: lastSearchOptions !== null,
+    };
 }
 
 /**
- * Executes a character search based on provided options and updates the view with the results.
- * @param {Object} options - The search criteria/options for fetching characters.
- * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
+ * Keeps the state of the open popup in the settings without saving them, for changes as frequent as typing.
+ * The popup is gone by the time its close handler runs, so the state has to be taken while it's open.
+ * @returns {boolean} - Whether the popup is open and its state was taken.
  */
-async function executeCharacterSearch(options) {
-    let characters  = []
-    characters = await searchCharacters(options);
+function rememberPopupState() {
+    const state = getPopupState();
+    if (!state) return false;
 
-    if (characters && characters.length > 0) {
-        console.log('Updating character list');
-        updateCharacterListInView(characters);
-    } else {
-        console.log('No characters found');
-        characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
-    }
+    extension_settings.chub.popupState = state;
+    return true;
 }
 
-
 /**
- * Generates the HTML structure for a character list item.
- * @param {Object} character - The character data object with properties like url, name, description, tags, and author.
- * @param {number} index - The index of the character in the list.
- * @returns {string} - Returns an HTML string representation of the character list item.
+ * Stores the state of the open popup in the settings and saves them, so it survives closing the popup and reloading the page.
  */
-function generateCharacterListItem(character, index) {
-    // Defensive checks for character properties
-    const safeName = character.name || "Unknown Character";
-    const safeAuthor = character.author || "Unknown";
-    const safeDescription = character.description || "No description available";
-    const safeTags = Array.isArray(character.tags) ? character.tags : [];
-    const safeFullPath = character.fullPath || "";
-    const safeId = character.id || "";
-    
-    return `
-        <div class="character-list-item" data-index="${index}">
-            <img class="thumbnail" src="${character.url}" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22100%22><rect width=%22100%22 height=%22100%22 fill=%22%23ccc%22/><text x=%2250%%22 y=%2250%%22 dominant-baseline=%22middle%22 text-anchor=%22middle%22 fill=%22%23666%22>No Image</text></svg>'">
-            <div class="info">
-                
-                <a href="https://chub.ai/characters/${safeFullPath}" target="_blank"><div class="name">${safeName}</a>
-                <a href="https://chub.ai/users/${safeAuthor}" target="_blank">
-                 <span class="author">by ${safeAuthor}</span>
-                </a></div>
-                <div class="description">${safeDescription}</div>
-                <div class="tags">${safeTags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>
-            </div>
-            <div data-path="${safeFullPath}" data-id="${safeId}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix"></div>
-        </div>
-    `;
+function savePopupState() {
+    if (rememberPopupState()) {
+        saveSettingsDebounced();
+    }
 }
 
-// good ol' clamping
-function clamp(value, min, max) {
-    return Math.min(Math.max(value, min), max);
+/**
+ * Rebuilds the contents of a freshly opened popup from a saved state. Results still in memory are shown again,
+ * after a reload the search is repeated (mostly from the cache), loading as many pages as were shown before.
+ * @param {Object|null} state - The state saved by `savePopupState`.
+ * @returns {Promise<void>} - Resolves once the results are shown and scrolled into place.
+ */
+async function restorePopupState(state) {
+    if (!state) {
+        updateCharacterListInView(getDisplayedCharacters());
+        return;
+    }
+
+    if (state.form) {
+        applySearchFormState(state.form);
+    }
+    const page = Math.max(1, parseInt(state.page) || 1);
+    document.getElementById('pageNumber').value = page;
+    activeTab = 'search';
+    updateTabButtons();
+
+    if (lastSearchOptions) {
+        updateCharacterListInView(chubCharacters);
+        updatePaginationControls();
+    } else if (state.searched && state.form) {
+        const infinite = extension_settings.chub.infiniteScroll;
+        // A page loaded by infinite scroll in the meantime would stop the loop below, before the saved offset is reachable
+        restoringPages = true;
+        try {
+            await executeCharacterSearch({ ...searchOptionsFromState(state.form), page: infinite ? 1 : page });
+            while (infinite && pagination.page < page && pagination.hasMore && !pagination.loading) {
+                const loadedPage = pagination.page;
+                await loadNextPage();
+                if (pagination.page === loadedPage) break;
+            }
+        } finally {
+            restoringPages = false;
+        }
+    }
+
+    // The followed feed isn't restored, opening it marks its cards as seen
+    if (state.tab === 'favorites') {
+        await showTab('favorites');
+    }
+
+    if (characterListContainer) {
+        characterListContainer.scrollTop = state.scrollTop || 0;
+        maybeLoadNextPage();
+    }
 }
 
 /**
  * Displays a popup for character listings based on certain criteria. The popup provides a UI for 
  * character search, and presents the characters in a list view. Users can search characters by 
  * inputting search terms, including/excluding certain tags, sorting by various options, and opting 
- * for NSFW content. The function also offers image enlargement on click and handles character downloads.
+ * for NSFW content. The function also offers an avatar lightbox and handles character downloads.
  * 
- * If the popup content was previously generated and saved, it reuses that content. Otherwise, it creates 
- * a new layout using the given state or a default layout structure. 
- * 
- * This function manages multiple event listeners for user interactions such as searching, navigating 
- * between pages, and viewing larger character images.
+ * The popup is built from scratch every time it opens, with its listeners bound to the new elements only,
+ * and its previous state is restored from the settings by `restorePopupState`.
  * 
  * @async
  * @function
  * @returns {Promise<void>} - Resolves when the popup is displayed and fully initialized.
  */
 async function displayCharactersInListViewPopup() {
-    if (savedPopupContent) {
-        console.log('Using saved popup content');
-        // Append the saved content to the popup container
-        callPopup('', "text", '', { okButton: "Close", wide: true, large: true })
-        .then(() => {
-            savedPopupContent = document.querySelector('.list-and-search-wrapper');
-        });
-
-        document.getElementById('dialogue_popup_text').appendChild(savedPopupContent);
-        characterListContainer = document.querySelector('.character-list-popup');
-        return;
-    }
-
-    const readableOptions = {
-        "download_count": "Download Count",
-        "id": "ID",
-        "rating": "Rating",
-        "default": "Default",
-        "rating_count": "Rating Count",
-        "last_activity_at": "Last Activity",
-        "trending_downloads": "Trending Downloads",
-        "created_at": "Creation Date",
-        "name": "Name",
-        "n_tokens": "Token Count",
-        "random": "Random"
-    };
-
     // TODO: This should be a template
-    const listLayout = popupState ? popupState : `
+    const listLayout = `
     <div class="list-and-search-wrapper" id="list-and-search-wrapper">
-        <div class="character-list-popup">
-            ${chubCharacters.map((character, index) => generateCharacterListItem(character, index)).join('')}
+        <div class="character-detail displayNone">
+            <div class="character-detail-toolbar flex-container flex-no-wrap flex-align-center">
+                <div class="menu_button" id="detailBackButton"><i class="fa-solid fa-arrow-left"></i> Back</div>
+                <div class="menu_button" id="detailImportButton"><i class="fa-solid fa-cloud-arrow-down"></i> Import</div>
+            </div>
+            <div class="character-detail-content"></div>
+        </div>
+        <div class="chub-tabs flex-container flex-no-wrap flex-align-center">
+            <div class="menu_button chub-tab" data-tab="search">Search results</div>
+            <div class="menu_button chub-tab" data-tab="favorites">Favorites</div>
+            <div class="menu_button chub-tab" data-tab="followed" title="Cards created or updated by followed authors since you last looked">New from followed</div>
+            <div class="view-settings flex-container flex-no-wrap flex-align-center">
+                ${Object.entries(VIEW_MODES).map(([mode, { name, icon }]) => `<div class="menu_button chub-view-mode fa-solid ${icon}" data-mode="${mode}" title="${name} view"></div>`).join('')}
+                <select id="viewDensity" class="margin0" title="Thumbnail size">
+                    ${Object.entries(VIEW_DENSITIES).map(([density, name]) => `<option value="${density}">${name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="favorites-actions flex-container flex-no-wrap displayNone">
+                <div class="menu_button fa-solid fa-file-export" id="exportFavoritesButton" title="Export favorites"></div>
+                <div class="menu_button fa-solid fa-file-import" id="importFavoritesButton" title="Import favorites"></div>
+                <input type="file" id="importFavoritesFile" accept=".json,application/json" hidden>
+            </div>
+        </div>
+        <div class="character-list-popup"></div>
+        <div class="selection-bar flex-container flex-no-wrap flex-align-center">
+            <div class="menu_button" id="checkUpdatesButton" title="Check previously imported cards for upstream changes"><i class="fa-solid fa-rotate"></i> Check for updates</div>
+            <div class="menu_button" id="pasteLinksButton" title="Import a list of CHUB links"><i class="fa-solid fa-paste"></i> Paste links</div>
+            <div class="menu_button" id="selectPageButton">Select page</div>
+            <div class="menu_button" id="clearSelectionButton">Clear selection</div>
+            <div class="menu_button disabled" id="saveSelectedButton" title="Save the selected card files, several as one ZIP"><i class="fa-solid fa-file-zipper"></i> Save selected</div>
+            <div class="menu_button disabled" id="importSelectedButton">Import selected (0)</div>
+        </div>
+        <div class="import-queue displayNone">
+            <div class="import-queue-header flex-container flex-no-wrap flex-align-center">
+                <span class="import-queue-progress"></span>
+                <progress class="flex1"></progress>
+                <div class="menu_button displayNone" id="retryFailedImports">Retry failed</div>
+                <div class="menu_button" id="clearFinishedImports">Clear finished</div>
+            </div>
+            <div class="import-queue-items"></div>
         </div>
         <hr>
         <div class="search-container">
+            <div class="saved-searches flex-container flex-no-wrap flex-align-center">
+                <label for="savedSearchSelect"><i class="fa-solid fa-clock-rotate-left"></i></label>
+                <select class="margin0 flex1" id="savedSearchSelect"></select>
+                <div class="menu_button fa-solid fa-floppy-disk" id="saveSearchButton" title="Save current search"></div>
+                <div class="menu_button fa-solid fa-trash-can" id="deleteSavedSearchButton" title="Delete selected saved search"></div>
+                <div class="menu_button fa-solid fa-file-export" id="exportSavedSearchesButton" title="Export saved searches"></div>
+                <div class="menu_button fa-solid fa-file-import" id="importSavedSearchesButton" title="Import saved searches"></div>
+                <input type="file" id="importSavedSearchesFile" accept=".json,application/json" hidden>
+            </div>
             <div class="flex-container flex-no-wrap flex-align-center">
             <label for="characterSearchInput"><i class="fas fa-search"></i></label>
             <input type="text" id="characterSearchInput" class="text_pole flex1" placeholder="Search CHUB for characters...">
+            <select class="margin0" id="contentNamespace" title="Content type">
+            ${Object.keys(CONTENT_NAMESPACES).map(key => `<option value="${key}">${CONTENT_NAMESPACES[key]}</option>`).join('')}
+            </select>
             </div>
             <div class="flex-container flex-no-wrap flex-align-center">
-            <label for="includeTags"><i class="fas fa-plus-square"></i></label>
-            <input type="text" id="includeTags" class="text_pole flex1" placeholder="Include tags (comma separated)">
+            <label for="includeTagsInput"><i class="fas fa-plus-square"></i></label>
+            <div class="tag-field flex1" data-field="includeTags">
+                <span class="tag-chips"></span>
+                <input type="text" id="includeTagsInput" class="text_pole tag-field-input" placeholder="Include tags (click a result tag to add it)">
+                <input type="hidden" id="includeTags">
+            </div>
             </div>
             <div class="flex-container">
-            <label for="excludeTags"><i class="fas fa-minus-square"></i></label>
-            <input type="text" id="excludeTags" class="text_pole flex1" placeholder="Exclude tags (comma separated)">
+            <label for="excludeTagsInput"><i class="fas fa-minus-square"></i></label>
+            <div class="tag-field flex1" data-field="excludeTags">
+                <span class="tag-chips"></span>
+                <input type="text" id="excludeTagsInput" class="text_pole tag-field-input" placeholder="Exclude tags (Ctrl+click a result tag to add it)">
+                <input type="hidden" id="excludeTags">
+            </div>
             </div>
+            <details class="advanced-filters">
+                <summary>Advanced</summary>
+                <div class="flex-container flex-align-center">
+                    <label for="minTokens">Tokens:</label>
+                    <input type="number" id="minTokens" class="text_pole textarea_compact wide10pMinFit" min="0" placeholder="Min">
+                    <input type="number" id="maxTokens" class="text_pole textarea_compact wide10pMinFit" min="0" placeholder="Max">
+                    <label for="minRating">Min rating:</label>
+                    <input type="number" id="minRating" class="text_pole textarea_compact wide10pMinFit" min="0" max="5" step="0.5">
+                    <label for="authorFilter">Author:</label>
+                    <input type="text" id="authorFilter" class="text_pole textarea_compact flex1" placeholder="Username">
+                </div>
+                <div class="flex-container flex-align-center">
+                    <select class="margin0" id="dateField">
+                        <option value="created">Created</option>
+                        <option value="updated">Updated</option>
+                    </select>
+                    <label for="dateFrom">from</label>
+                    <input type="date" id="dateFrom" class="text_pole textarea_compact wide10pMinFit">
+                    <label for="dateTo">to</label>
+                    <input type="date" id="dateTo" class="text_pole textarea_compact wide10pMinFit">
+                </div>
+            </details>
             <div class="page-buttons flex-container flex-no-wrap flex-align-center">
-                <div class="flex-container flex-no-wrap flex-align-center">
-                    <button class="menu_button" id="pageDownButton"><i class="fas fa-chevron-left"></i></button>
+                <div class="page-controls flex-container flex-no-wrap flex-align-center${extension_settings.chub.infiniteScroll ? ' displayNone' : ''}">
+                    <button class="menu_button" id="pageDownButton" disabled><i class="fas fa-chevron-left"></i></button>
                     <label for="pageNumber">Page:</label>
                     <input type="number" id="pageNumber" class="text_pole textarea_compact wide10pMinFit" min="1" value="1">
                     <button class="menu_button" id="pageUpButton"><i class="fas fa-chevron-right"></i></button>
                 </div>
+                <span class="result-count"></span>
                 <div class="flex-container flex-no-wrap flex-align-center">
                 <label for="sortOrder">Sort By:</label> <!-- This is the label for sorting -->
                 <select class="margin0" id="sortOrder">
-                ${Object.keys(readableOptions).map(key => `<option value="${key}">${readableOptions[key]}</option>`).join('')}
+                ${Object.keys(SORT_OPTIONS).map(key => `<option value="${key}"${key === extension_settings.chub.defaultSort ? ' selected' : ''}>${SORT_OPTIONS[key]}</option>`).join('')}
                 </select>
                 </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <label for="nsfwCheckbox">NSFW:</label>
-                    <input type="checkbox" id="nsfwCheckbox">
+                    <input type="checkbox" id="nsfwCheckbox"${extension_settings.chub.nsfw ? ' checked' : ''}>
                 </div>
                 <div class="menu_button" id="characterSearchButton">Search</div>
+                <div class="menu_button fa-solid fa-arrows-rotate" id="characterRefreshButton" title="Refresh, bypassing the cache"></div>
             </div>
 
 
@@ -421,69 +3060,192 @@ async function displayCharactersInListViewPopup() {
     </div>
 `;
 
+    let closed = false;  // Stops a search still waiting in the debounce from starting once the popup is gone
+
     // Call the popup with our list layout
     callPopup(listLayout, "text", '', { okButton: "Close", wide: true, large: true })
         .then(() => {
-            savedPopupContent = document.querySelector('.list-and-search-wrapper');
+            closed = true;
+            // Save what was remembered while the popup was open, it can't be read anymore
+            saveSettingsDebounced();
+            closeLightbox();
+            // A search finishing after the popup closed would render into the removed list
+            searchController?.abort();
         });
 
-    characterListContainer = document.querySelector('.character-list-popup');   
+    characterListContainer = document.querySelector('.character-list-popup');
+
+    // Scrolling only updates the remembered offset, the settings are saved when the popup closes
+    characterListContainer.addEventListener('scroll', () => {
+        maybeLoadNextPage();
+        if (extension_settings.chub.popupState) {
+            extension_settings.chub.popupState.scrollTop = characterListContainer.scrollTop;
+        }
+    }, { passive: true });
+    document.getElementById('list-and-search-wrapper').addEventListener('input', () => rememberPopupState());
+
+    // A click on a blurred thumbnail or description reveals it, instead of opening the lightbox or the details
+    characterListContainer.addEventListener('click', function (event) {
+        const row = event.target.closest('.character-list-item.sensitive-blurred');
+        if (!row || !event.target.closest('.thumbnail, .description')) return;
 
-    let clone = null;  // Store reference to the cloned image
+        event.stopPropagation();
+        const character = getDisplayedCharacters()[Number(row.getAttribute('data-index'))];
+        if (character) character.revealed = true;
+        row.classList.remove('sensitive-blurred');
+    }, true);
 
     characterListContainer.addEventListener('click', function (event) {
         if (event.target.tagName === 'IMG' && event.target.classList.contains('thumbnail')) {
-            const image = event.target;
+            const row = event.target.closest('.character-list-item');
+            openLightbox(Number(row.getAttribute('data-index')));
+        }
+    });
 
-            if (clone) {  // If clone exists, remove it
-                try {
-                    document.body.removeChild(clone);
-                } catch (error) {
-                    console.error('Error removing image clone:', error);
-                }
-                clone = null;
-                return;  // Exit the function
+    document.querySelectorAll('.chub-view-mode').forEach(button => {
+        button.addEventListener('click', function () {
+            extension_settings.chub.viewMode = this.getAttribute('data-mode');
+            saveSettingsDebounced();
+            applyViewSettings();
+        });
+    });
+    document.getElementById('viewDensity').addEventListener('change', function () {
+        extension_settings.chub.viewDensity = this.value;
+        saveSettingsDebounced();
+        applyViewSettings();
+    });
+    applyViewSettings();
+
+    characterListContainer.addEventListener('change', function (event) {
+        if (event.target.classList.contains('select-checkbox')) {
+            const fullPath = event.target.getAttribute('data-path');
+            if (!fullPath) return;
+
+            if (event.target.checked) {
+                const character = getDisplayedCharacters().find(c => c.fullPath === fullPath);
+                selectedCharacters.set(fullPath, {
+                    fullPath,
+                    name: character ? character.name : fullPath,
+                    author: character ? character.author : null,
+                    tags: character ? character.tags : [],
+                    id: character ? character.id : null,
+                    lastActivityAt: character ? character.lastActivityAt : null,
+                    namespace: event.target.getAttribute('data-namespace') || 'characters',
+                });
+            } else {
+                selectedCharacters.delete(fullPath);
             }
+            updateSelectionCount();
+        }
+    });
 
-            const rect = image.getBoundingClientRect();
+    document.getElementById('checkUpdatesButton').addEventListener('click', showUpdatesPane);
+    document.getElementById('pasteLinksButton').addEventListener('click', showPasteLinksPane);
+
+    document.getElementById('selectPageButton').addEventListener('click', function () {
+        // Hidden sensitive results are left out
+        characterListContainer.querySelectorAll('.character-list-item:not(.displayNone) .select-checkbox').forEach(checkbox => {
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    });
 
-            clone = image.cloneNode(true);
-            clone.style.position = 'absolute';
-            clone.style.top = `${rect.top + window.scrollY}px`;
-            clone.style.left = `${rect.left + window.scrollX}px`;
-            clone.style.transform = 'scale(4)';  // Enlarge by 4 times
-            clone.style.zIndex = 99999;  // High value to ensure it's above other elements
-            clone.style.objectFit = 'contain';
-            clone.style.cursor = 'pointer';
+    document.getElementById('clearSelectionButton').addEventListener('click', function () {
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.select-checkbox').forEach(checkbox => checkbox.checked = false);
+        updateSelectionCount();
+    });
 
-            document.body.appendChild(clone);
+    document.getElementById('importSelectedButton').addEventListener('click', async function () {
+        if (selectedCharacters.size === 0) return;
 
-            // Prevent this click event from reaching the document's click listener
-            event.stopPropagation();
-        }
+        await enqueueImportsWithDuplicateCheck(Array.from(selectedCharacters.values()));
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.select-checkbox').forEach(checkbox => checkbox.checked = false);
+        updateSelectionCount();
     });
 
-    // Add event listener to remove the clone on next click anywhere
-    document.addEventListener('click', function handler() {
-        if (clone) {
-            try {
-                document.body.removeChild(clone);
-            } catch (error) {
-                console.error('Error removing image clone:', error);
+    document.getElementById('saveSelectedButton').addEventListener('click', async function () {
+        if (selectedCharacters.size === 0 || this.classList.contains('disabled')) return;
+
+        const entries = Array.from(selectedCharacters.values());
+        this.classList.add('disabled');
+        try {
+            if (entries.length === 1) {
+                await saveCardFile(entries[0].fullPath, entries[0].namespace);
+            } else {
+                await saveCardBundle(entries);
             }
-            clone = null;
+        } finally {
+            updateSelectionCount();
+        }
+    });
+
+    document.getElementById('retryFailedImports').addEventListener('click', retryFailedImports);
+    document.getElementById('clearFinishedImports').addEventListener('click', clearFinishedImports);
+    document.querySelector('.import-queue-items').addEventListener('click', function (event) {
+        if (event.target.classList.contains('retry-import-btn')) {
+            const item = importQueue.find(i => i.fullPath === event.target.getAttribute('data-path'));
+            if (item) enqueueImports([item]);
+        }
+    });
+
+    renderImportQueue();
+    updateSelectionCount();
+
+    // Clicking anywhere on a row that isn't a control opens the detail pane
+    characterListContainer.addEventListener('click', function (event) {
+        const row = event.target.closest('.character-list-item');
+        if (!row || event.target.closest('a, input, img, .menu_button, .block-btn, .favorite-btn, .follow-btn, .tag')) return;
+
+        const button = row.querySelector('.download-btn');
+        const fullPath = button?.getAttribute('data-path');
+        if (fullPath) {
+            showCharacterDetails(fullPath, button.getAttribute('data-namespace') || 'characters');
+        }
+    });
+
+    document.getElementById('detailBackButton').addEventListener('click', hideCharacterDetails);
+    document.getElementById('detailImportButton').addEventListener('click', async function () {
+        const fullPath = this.getAttribute('data-path');
+        if (fullPath) {
+            await downloadCharacter(fullPath, this.getAttribute('data-namespace') || 'characters');
         }
     });
 
+    characterListContainer.addEventListener('click', function (event) {
+        if (event.target.classList.contains('block-btn')) {
+            addToBlocklist(event.target.getAttribute('data-kind'), event.target.getAttribute('data-value'));
+        } else if (event.target.classList.contains('favorite-btn')) {
+            toggleFavorite(event.target.getAttribute('data-path'));
+        } else if (event.target.classList.contains('follow-btn')) {
+            toggleFollow(event.target.getAttribute('data-author'));
+        } else if (event.target.closest('.author-link') && !(event.ctrlKey || event.metaKey || event.shiftKey)) {
+            // A plain click browses the author in the popup, modifier-clicks still open their page
+            event.preventDefault();
+            browseAuthor(event.target.closest('.author-link').getAttribute('data-author'));
+        } else if (event.target.classList.contains('tag') && event.target.hasAttribute('data-tag')) {
+            // Modifier-click excludes the tag, a plain click includes it
+            const exclude = event.ctrlKey || event.metaKey || event.shiftKey;
+            addTagToField(exclude ? 'excludeTags' : 'includeTags', event.target.getAttribute('data-tag'));
+        }
+    });
 
     characterListContainer.addEventListener('click', async function (event) {
+        if (event.target.classList.contains('save-btn')) {
+            const fullPath = event.target.getAttribute('data-path');
+            if (fullPath) {
+                await saveCardFile(fullPath, event.target.getAttribute('data-namespace') || 'characters');
+            }
+        }
         if (event.target.classList.contains('download-btn')) {
             const fullPath = event.target.getAttribute('data-path');
+            const namespace = event.target.getAttribute('data-namespace') || 'characters';
             
             // Validate that fullPath exists before attempting download
             if (fullPath && fullPath !== 'null' && fullPath !== 'undefined') {
                 try {
-                    await downloadCharacter(fullPath);
+                    await downloadCharacter(fullPath, namespace);
                 } catch (error) {
                     console.error('Error downloading character:', error);
                     toastr.error('Failed to download character');
@@ -495,100 +3257,136 @@ async function displayCharactersInListViewPopup() {
         }
     });
 
-    const executeCharacterSearchDebounced = debounce((options) => executeCharacterSearch(options), 750);
+    const executeCharacterSearchDebounced = debounce((options, formState) => {
+        if (closed) return;
+        recordSearchHistory(formState);
+        executeCharacterSearch(options);
+    }, 750);
 
     // Combine the 'keydown' and 'click' event listeners for search functionality, debounce the inputs
     const handleSearch = async function (e) {
         console.log('handleSearch', e);
-        if (e.type === 'keydown' && e.key !== 'Enter' && e.target.id !== 'includeTags' && e.target.id !== 'excludeTags') {
+        if (e.type === 'keydown' && e.key !== 'Enter') {
             return;
         }
 
-        const splitAndTrim = (str) => {
-            str = str.trim(); // Trim the entire string first
-            if (!str.includes(',')) {
-                return [str];
-            }
-            return str.split(',').map(tag => tag.trim());
-        };
-
-        console.log(document.getElementById('includeTags').value);
-
-        const searchTerm = document.getElementById('characterSearchInput').value;
-        const includeTags = splitAndTrim(document.getElementById('includeTags').value);
-        const excludeTags = splitAndTrim(document.getElementById('excludeTags').value);
-        const nsfw = document.getElementById('nsfwCheckbox').checked;
-        const sort = document.getElementById('sortOrder').value;
-        let page = document.getElementById('pageNumber').value;
-
-        // If the page number is not being changed, use page 1
-        if (e.target.id !== 'pageNumber' && e.target.id !== 'pageUpButton' && e.target.id !== 'pageDownButton') {
-            // this is frustrating
-            
-            // page = 1;
-            // set page box to 1
-            // document.getElementById('pageNumber').value = 1;
-        }
+        const formState = getSearchFormState();
+        // The listener's element, since clicks on the page buttons can target their icons
+        const sourceId = (e.currentTarget || e.target).id;
+        const bypassCache = sourceId === 'characterRefreshButton';
+        let page = parseInt(document.getElementById('pageNumber').value) || 1;
 
-        // if page below 0, set to 1
-        if (page < 1) {
+        // A changed query starts over at the first page, paging and refreshing keep the current one
+        if (!['pageNumber', 'pageUpButton', 'pageDownButton', 'characterRefreshButton'].includes(sourceId)) {
             page = 1;
-            document.getElementById('pageNumber').value = 1;
         }
+
+        // Stay within the known pages
+        const lastPage = Number(document.getElementById('pageNumber').max) || Number.MAX_SAFE_INTEGER;
+        page = clamp(page, 1, lastPage);
+        document.getElementById('pageNumber').value = page;
         
         executeCharacterSearchDebounced({
-            searchTerm,
-            includeTags,
-            excludeTags,
-            nsfw,
-            sort,
-            page
-        });
+            ...searchOptionsFromState(formState),
+            page,
+            bypassCache
+        }, formState);
     };
 
+    document.querySelectorAll('.chub-tab').forEach(button => {
+        button.addEventListener('click', () => showTab(button.getAttribute('data-tab')));
+    });
+    document.getElementById('exportFavoritesButton').addEventListener('click', exportFavorites);
+    document.getElementById('importFavoritesButton').addEventListener('click', () => document.getElementById('importFavoritesFile').click());
+    document.getElementById('importFavoritesFile').addEventListener('change', async function () {
+        if (this.files.length > 0) {
+            await importFavorites(this.files[0]);
+        }
+        this.value = '';
+    });
+    updateTabButtons();
+
+    renderSavedSearchOptions();
+    document.getElementById('savedSearchSelect').addEventListener('change', function () {
+        const [kind, index] = this.value.split(':');
+        const state = kind === 'saved'
+            ? extension_settings.chub.savedSearches[index]?.state
+            : extension_settings.chub.searchHistory[index];
+        if (!state) return;
+
+        applySearchFormState(state);
+        document.getElementById('pageNumber').value = 1;
+        document.getElementById('characterSearchButton').click();
+    });
+    document.getElementById('saveSearchButton').addEventListener('click', saveCurrentSearch);
+    document.getElementById('deleteSavedSearchButton').addEventListener('click', function () {
+        const [kind, index] = document.getElementById('savedSearchSelect').value.split(':');
+        if (kind !== 'saved') {
+            toastr.info('Select a saved search to delete');
+            return;
+        }
+        extension_settings.chub.savedSearches.splice(Number(index), 1);
+        saveSettingsDebounced();
+        renderSavedSearchOptions();
+    });
+    document.getElementById('exportSavedSearchesButton').addEventListener('click', exportSavedSearches);
+    document.getElementById('importSavedSearchesButton').addEventListener('click', () => document.getElementById('importSavedSearchesFile').click());
+    document.getElementById('importSavedSearchesFile').addEventListener('change', async function () {
+        if (this.files.length > 0) {
+            await importSavedSearches(this.files[0]);
+        }
+        this.value = '';
+    });
+
     // debounce the inputs
     document.getElementById('characterSearchInput').addEventListener('change', handleSearch);
     document.getElementById('characterSearchButton').addEventListener('click', handleSearch);
-    document.getElementById('includeTags').addEventListener('keyup', handleSearch);
-    document.getElementById('excludeTags').addEventListener('keyup', handleSearch);
+    document.getElementById('characterRefreshButton').addEventListener('click', handleSearch);
+    document.getElementById('includeTags').addEventListener('change', handleSearch);
+    document.getElementById('excludeTags').addEventListener('change', handleSearch);
+    bindTagField('includeTags');
+    bindTagField('excludeTags');
     document.getElementById('sortOrder').addEventListener('change', handleSearch);
     document.getElementById('nsfwCheckbox').addEventListener('change', handleSearch);
+    document.getElementById('contentNamespace').addEventListener('change', handleSearch);
+    ['minTokens', 'maxTokens', 'minRating', 'dateField', 'dateFrom', 'dateTo', 'authorFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleSearch);
+    });
 
     // when the page number is finished being changed, search again
     document.getElementById('pageNumber').addEventListener('change', handleSearch);
     // on page up or down, update the page number, don't go below 1
     document.getElementById('pageUpButton').addEventListener('click', function (e) {
-        let pageNumber = document.getElementById('pageNumber'); 
+        let pageNumber = document.getElementById('pageNumber');
+        pageNumber.value = clamp((parseInt(pageNumber.value) || 1) + 1, 1, Number(pageNumber.max) || Number.MAX_SAFE_INTEGER);
 
-        pageNumber.value = clamp(parseInt(pageNumber.value) + 1, 0, Number.MAX_SAFE_INTEGER);
-        //pageNumber.value = Math.max(1, pageNumber.value);
-        
         handleSearch(e);
     }
     );
     document.getElementById('pageDownButton').addEventListener('click', function (e) {
         let pageNumber = document.getElementById('pageNumber');
-        pageNumber.value = clamp(parseInt(pageNumber.value) - 1, 0, Number.MAX_SAFE_INTEGER);
-        //pageNumber.value = Math.max(1, pageNumber.value);
-        
+        pageNumber.value = clamp((parseInt(pageNumber.value) || 1) - 1, 1, Number.MAX_SAFE_INTEGER);
+
         handleSearch(e);
     }
     );
+
+    await restorePopupState(extension_settings.chub.popupState);
 }
 
 /**
- * Fetches a character by making an API call.
+ * Fetches the avatar of a character by making an API call.
  * 
- * This function sends a POST request to the API_ENDPOINT_DOWNLOAD with a provided character's fullPath. 
- * It requests the character in the "tavern" format and the "main" version. Once the data is fetched, it 
- * is converted to a blob before being returned.
+ * This function requests the avatar from the node's `avatar_url`, or from the avatar host using the
+ * character's fullPath. Once the data is fetched, it is converted to a blob before being returned.
  * 
  * @async
  * @function
- * @param {string} fullPath - The unique path/reference for the character to be fetched.
- * @returns {Promise<Blob>} - Resolves with a Blob of the fetched character data.
+ * @param {Object} node - The search node of the character, with its `fullPath` and optional `avatar_url`.
+ * @param {AbortSignal} [signal] - Aborts the fetch.
+ * @returns {Promise<Blob|null>} - Resolves with a Blob of the avatar, or null if it couldn't be fetched or was aborted.
  */
-async function getCharacter(node) {
+async function getCharacter(node, signal) {
     // Add proper error handling for missing required fields
     if (!node) {
         console.error('Invalid node data - node is null or undefined');
@@ -600,22 +3398,25 @@ async function getCharacter(node) {
         return null;
     }
     
-    // URL-encode the fullPath when constructing avatar URLs to handle special characters
-    const encodedFullPath = encodeURIComponent(node.fullPath);
-    
-    // Use the avatar_url from the node if available, otherwise construct it
-    // Note: Removed outdated API endpoint fallback
-    const avatarUrl = node.avatar_url || `https://avatars.charhub.io/avatars/${encodedFullPath}/avatar.webp`;
+    // Use the avatar_url from the node if available, otherwise construct it from the avatar endpoint in the settings
+    const avatarUrl = node.avatar_url || getAvatarUrl(node.fullPath);
+
+    const cached = await cacheGet(avatarUrl);
+    if (cached) {
+        return cached;
+    }
     
     try {
-        const response = await fetch(
+        const response = await fetchWithRetry(
             avatarUrl,
             {
                 method: "GET",
                 headers: {
                     'Accept': 'image/*'
                 },
-            }
+                signal,
+            },
+            1
         );
 
         if (!response.ok) {
@@ -631,19 +3432,479 @@ async function getCharacter(node) {
         }
         
         const data = await response.blob();
+        await cachePut(avatarUrl, data);
         return data;
     } catch (error) {
+        if (signal?.aborted) return null;
         console.error(`Error fetching character avatar for ${node.fullPath}:`, error);
         // Network errors, timeouts, etc.
         return null;
     }
 }
 
+/**
+ * Turns a CHUB link, path or id into a fullPath and namespace.
+ * Accepts chub.ai and characterhub.org page URLs, bare "author/slug" paths and numeric ids.
+ * Numeric ids have no fullPath until they are resolved with `resolveChubReference`.
+ * @param {string} reference - The link, path or id.
+ * @returns {{fullPath: string|null, namespace: string, id?: number}|null} - The normalized reference, or null if it isn't recognized.
+ */
+function parseChubReference(reference) {
+    reference = String(reference || '').trim();
+    if (!reference) return null;
+
+    if (/^\d+$/.test(reference)) {
+        return { namespace: 'characters', fullPath: null, id: Number(reference) };
+    }
+
+    const urlMatch = reference.match(/^(?:https?:\/\/)?(?:www\.|venus\.)?(?:chub\.ai|characterhub\.org)\/(characters|lorebooks)\/([^/?#\s]+\/[^/?#\s]+)/i);
+    if (urlMatch) {
+        try {
+            return { namespace: urlMatch[1].toLowerCase(), fullPath: decodeURIComponent(urlMatch[2]) };
+        } catch {
+            // Malformed percent-encoding, e.g. a link cut off in the middle of an escape
+            return null;
+        }
+    }
+
+    const pathMatch = reference.match(/^(?:(characters|lorebooks)\/)?([^/\s]+\/[^/\s]+)$/i);
+    if (pathMatch) {
+        return { namespace: (pathMatch[1] || 'characters').toLowerCase(), fullPath: pathMatch[2] };
+    }
+
+    return null;
+}
+
+/**
+ * Parses a CHUB link, path or id and looks it up on the gateway.
+ * @param {string} reference - The link, path or id.
+ * @returns {Promise<Object>} - Resolves with the fullPath, namespace, id, name and last activity of the card.
+ * @throws {Error} - If the reference isn't recognized or the card can't be found.
+ */
+async function resolveChubReference(reference) {
+    const parsed = parseChubReference(reference);
+    if (!parsed) {
+        throw new Error('Not a CHUB link, path or id');
+    }
+
+    const details = await fetchCharacterDetails(parsed.fullPath || String(parsed.id), parsed.namespace);
+    return {
+        fullPath: details.fullPath,
+        namespace: parsed.namespace,
+        id: details.id ?? parsed.id ?? null,
+        name: details.name,
+        author: details.fullPath.split('/')[0],
+        lastActivityAt: details.lastActivityAt,
+    };
+}
+
+/**
+ * Opens the paste links pane in the detail area of the popup. Each pasted line is resolved
+ * to a card for a preview, and the valid ones can then be imported through the queue.
+ */
+function showPasteLinksPane() {
+    const pane = document.querySelector('.character-detail');
+    if (!pane) return;
+
+    const content = pane.querySelector('.character-detail-content');
+    pane.querySelector('#detailImportButton').classList.add('displayNone');
+    pane.setAttribute('data-path', '');
+    pane.classList.remove('displayNone');
+
+    content.innerHTML = `
+        <h3>Import from links</h3>
+        <div>One chub.ai or characterhub.org URL, <code>author/slug</code> path or numeric id per line.</div>
+        <textarea id="pasteLinksInput" class="text_pole textarea_compact" rows="8"></textarea>
+        <div class="flex-container flex-no-wrap">
+            <div class="menu_button" id="pasteLinksValidateButton">Validate</div>
+            <div class="menu_button disabled" id="pasteLinksImportButton">Import valid</div>
+        </div>
+        <div class="paste-links-preview"></div>
+    `;
+
+    let resolved = [];
+    const importButton = content.querySelector('#pasteLinksImportButton');
+    const preview = content.querySelector('.paste-links-preview');
+
+    content.querySelector('#pasteLinksValidateButton').addEventListener('click', async function () {
+        const lines = [...new Set(content.querySelector('#pasteLinksInput').value.split('\n').map(line => line.trim()).filter(Boolean))];
+        resolved = [];
+        importButton.classList.add('disabled');
+        preview.innerHTML = '<div class="character-detail-loading"><i class="fa-solid fa-spinner fa-spin"></i> Resolving...</div>';
+
+        const results = await mapInBatches(lines, line => resolveChubReference(line).then(
+            card => ({ line, card }),
+            error => ({ line, error: error.message }),
+        ));
+
+        resolved = results.filter(result => result.card).map(result => result.card);
+        importButton.classList.toggle('disabled', resolved.length === 0);
+        preview.innerHTML = results.map(result => `
+            <div class="paste-links-item ${result.card ? 'valid' : 'invalid'}">
+                <i class="fa-solid ${result.card ? 'fa-check' : 'fa-triangle-exclamation'}"></i>
+                <span class="paste-links-line">${escapeHtml(result.line)}</span>
+                <span class="paste-links-result">${escapeHtml(result.card ? `${result.card.name} (${result.card.fullPath})` : result.error)}</span>
+            </div>
+        `).join('');
+    });
+
+    importButton.addEventListener('click', async function () {
+        if (resolved.length === 0) return;
+        await enqueueImportsWithDuplicateCheck(resolved);
+    });
+}
+
+/**
+ * Registers the STscript slash commands of the extension.
+ */
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-search',
+        callback: async (args, query) => {
+            const toList = (value) => String(value || '').split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+            const sort = args.sort || extension_settings.chub.defaultSort;
+            if (!Object.hasOwn(SORT_OPTIONS, sort)) {
+                toastr.warning(`Unknown sort order "${sort}"`, 'CHUB Search');
+                return '';
+            }
+
+            let results;
+            try {
+                ({ characters: results } = await fetchCharactersBySearch({
+                    searchTerm: String(query || ''),
+                    includeTags: toList(args.tags),
+                    excludeTags: toList(args.exclude),
+                    sort,
+                    nsfw: args.nsfw === undefined ? undefined : args.nsfw === 'true',
+                    namespace: args.type === 'lorebooks' ? 'lorebooks' : 'characters',
+                    limit: clamp(parseInt(args.limit) || extension_settings.chub.findCount, 1, 100),
+                }));
+            } catch (error) {
+                console.error('CHUB search command failed', error);
+                toastr.error(error.message, 'CHUB Search');
+                return '';
+            }
+
+            switch (args.return) {
+                case 'names':
+                    return JSON.stringify(results.map(result => result.name));
+                case 'json':
+                    return JSON.stringify(results.map(({ fullPath, name, author, tags, description }) => ({ fullPath, name, author, tags, description })));
+                default:
+                    return JSON.stringify(results.map(result => result.fullPath));
+            }
+        },
+        returns: 'a JSON list of the fullPaths (or names) of the matching cards',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'tags', description: 'comma separated tags the results must have', typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'exclude', description: 'comma separated tags the results must not have', typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'sort', description: 'sort order', typeList: [ARGUMENT_TYPE.STRING], enumList: Object.keys(SORT_OPTIONS) }),
+            SlashCommandNamedArgument.fromProps({ name: 'limit', description: 'maximum number of results', typeList: [ARGUMENT_TYPE.NUMBER] }),
+            SlashCommandNamedArgument.fromProps({ name: 'nsfw', description: 'include NSFW results', typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+            SlashCommandNamedArgument.fromProps({ name: 'type', description: 'content type to search', typeList: [ARGUMENT_TYPE.STRING], enumList: Object.keys(CONTENT_NAMESPACES), defaultValue: 'characters' }),
+            SlashCommandNamedArgument.fromProps({ name: 'return', description: 'what to return for each result', typeList: [ARGUMENT_TYPE.STRING], enumList: ['paths', 'names', 'json'], defaultValue: 'paths' }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: 'search query', typeList: [ARGUMENT_TYPE.STRING] }),
+        ],
+        helpString: `
+            <div>Searches CHUB and returns the matching cards as a JSON list of fullPaths.</div>
+            <div><strong>Example:</strong> <pre><code>/chub-search tags=fantasy sort=rating limit=5 dragon | /echo</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-import',
+        callback: async (args, value) => {
+            // Accept a JSON list (e.g. piped from /chub-search) or whitespace/comma separated references
+            let references;
+            try {
+                references = JSON.parse(String(value));
+                if (!Array.isArray(references)) references = [String(value)];
+            } catch {
+                references = String(value || '').split(/[\s,]+/);
+            }
+
+            const duplicateAction = Object.values(DUPLICATE_ACTION).includes(args.duplicates) ? args.duplicates : null;
+            const imported = [];
+
+            for (const reference of references.filter(Boolean)) {
+                let parsed = parseChubReference(reference);
+                if (parsed && !parsed.fullPath) {
+                    parsed = await resolveChubReference(reference).catch(() => null);
+                }
+                if (!parsed) {
+                    toastr.warning(`Not a CHUB link, path or id: ${reference}`, 'CHUB Search');
+                    continue;
+                }
+                if (await downloadCharacter(parsed.fullPath, parsed.namespace, duplicateAction)) {
+                    imported.push(parsed.fullPath);
+                }
+            }
+
+            return JSON.stringify(imported);
+        },
+        returns: 'a JSON list of the fullPaths that were imported',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'duplicates', description: 'what to do with characters already in the library, asks if not set', typeList: [ARGUMENT_TYPE.STRING], enumList: Object.values(DUPLICATE_ACTION) }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: 'fullPaths, chub.ai URLs or ids, or a JSON list of them', typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.LIST], isRequired: true, acceptsMultiple: true }),
+        ],
+        helpString: `
+            <div>Imports one or more cards from CHUB by fullPath or URL.</div>
+            <div><strong>Example:</strong> <pre><code>/chub-import duplicates=skip author/some-character https://chub.ai/characters/author/other-character</code></pre></div>
+        `,
+    }));
+}
+
+/**
+ * Adds the settings drawer of the extension to SillyTavern's extensions panel and binds its inputs
+ * to `extension_settings.chub`.
+ */
+function addSettingsPanel() {
+    const settingsHtml = `
+    <div class="chub-search-settings">
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>CHUB Search</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <h4>Search defaults</h4>
+                <div class="flex-container flexFlowColumn">
+                    <label for="chub_find_count">Results per page</label>
+                    <input type="number" id="chub_find_count" class="text_pole" min="1" max="100">
+                    <label for="chub_default_sort">Default sort</label>
+                    <select id="chub_default_sort">
+                        ${Object.keys(SORT_OPTIONS).map(key => `<option value="${key}">${SORT_OPTIONS[key]}</option>`).join('')}
+                    </select>
+                    <label class="checkbox_label" for="chub_sort_ascending">
+                        <input type="checkbox" id="chub_sort_ascending">
+                        <span>Sort ascending</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_include_forks">
+                        <input type="checkbox" id="chub_include_forks">
+                        <span>Include forks</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_require_images">
+                        <input type="checkbox" id="chub_require_images">
+                        <span>Require images</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_require_custom_prompt">
+                        <input type="checkbox" id="chub_require_custom_prompt">
+                        <span>Require custom prompt</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_nsfw">
+                        <input type="checkbox" id="chub_nsfw">
+                        <span>Show NSFW by default</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_infinite_scroll">
+                        <input type="checkbox" id="chub_infinite_scroll">
+                        <span>Infinite scroll instead of page buttons</span>
+                    </label>
+                </div>
+                <h4>Sensitive content</h4>
+                <div class="flex-container flexFlowColumn">
+                    <small>Results flagged NSFW by CHUB, or with one of these tags, get a content warning.</small>
+                    <label for="chub_sensitive_display">Sensitive results</label>
+                    <select id="chub_sensitive_display">
+                        ${Object.entries(SENSITIVE_DISPLAY).map(([value, name]) => `<option value="${value}">${name}</option>`).join('')}
+                    </select>
+                    <label for="chub_sensitive_tags">Sensitive tags (comma separated)</label>
+                    <input type="text" id="chub_sensitive_tags" class="text_pole">
+                </div>
+                <h4>Blocklist</h4>
+                <div class="flex-container flexFlowColumn">
+                    <small>Results with a blocked tag or author are always hidden.</small>
+                    <label for="chub_block_tag_input">Blocked tags</label>
+                    <div class="flex-container flex-no-wrap">
+                        <input type="text" id="chub_block_tag_input" class="text_pole flex1" placeholder="Tag to block">
+                        <div class="menu_button fa-solid fa-plus" id="chub_block_tag_add" title="Block tag"></div>
+                    </div>
+                    <div class="tags" id="chub_blocked_tags"></div>
+                    <label for="chub_block_author_input">Blocked authors</label>
+                    <div class="flex-container flex-no-wrap">
+                        <input type="text" id="chub_block_author_input" class="text_pole flex1" placeholder="Username to block">
+                        <div class="menu_button fa-solid fa-plus" id="chub_block_author_add" title="Block author"></div>
+                    </div>
+                    <div class="tags" id="chub_blocked_authors"></div>
+                </div>
+                <h4>Cache</h4>
+                <div class="flex-container flexFlowColumn">
+                    <label for="chub_cache_ttl">Cache lifetime (minutes, 0 disables the cache)</label>
+                    <input type="number" id="chub_cache_ttl" class="text_pole" min="0">
+                    <label for="chub_cache_size">Cache size limit (MB)</label>
+                    <input type="number" id="chub_cache_size" class="text_pole" min="1">
+                    <div class="menu_button" id="chub_clear_cache">Clear cache</div>
+                </div>
+                <h4>After import</h4>
+                <div class="flex-container flexFlowColumn">
+                    <label class="checkbox_label" for="chub_apply_import_tags">
+                        <input type="checkbox" id="chub_apply_import_tags">
+                        <span>Tag imported characters with their CHUB tags</span>
+                    </label>
+                    <label for="chub_import_tag_mapping">Tag mapping, one <code>CHUB tag = SillyTavern tag</code> per line</label>
+                    <textarea id="chub_import_tag_mapping" class="text_pole textarea_compact" rows="3" placeholder="female = Female&#10;roleplay = RP"></textarea>
+                    <label for="chub_import_tag_ignore">Ignored tags (comma separated)</label>
+                    <input type="text" id="chub_import_tag_ignore" class="text_pole" placeholder="SFW, English">
+                    <label class="checkbox_label" for="chub_record_import_source">
+                        <input type="checkbox" id="chub_record_import_source">
+                        <span>Record author and CHUB page on imported characters</span>
+                    </label>
+                    <label class="checkbox_label" for="chub_open_after_import">
+                        <input type="checkbox" id="chub_open_after_import">
+                        <span>Open a character after importing it</span>
+                    </label>
+                </div>
+                <h4>Endpoints</h4>
+                <div class="flex-container flexFlowColumn">
+                    <label for="chub_search_provider">Search backend</label>
+                    <select id="chub_search_provider">
+                        ${[...searchProviders.values()].map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name || provider.id)}</option>`).join('')}
+                    </select>
+                    <label for="chub_api_base_url">Gateway URL</label>
+                    <input type="text" id="chub_api_base_url" class="text_pole" placeholder="${DEFAULT_API_BASE_URL}">
+                    <label for="chub_avatar_base_url">Avatar URL</label>
+                    <input type="text" id="chub_avatar_base_url" class="text_pole" placeholder="${DEFAULT_AVATAR_BASE_URL}">
+                    <label for="chub_local_index_url">Card index URL (JSON card index backend)</label>
+                    <input type="text" id="chub_local_index_url" class="text_pole" placeholder="https://example.com/cards.json">
+                    <small>Details and imports always go through the gateway.</small>
+                    <div class="menu_button" id="chub_reset_endpoints">Reset endpoints</div>
+                </div>
+            </div>
+        </div>
+    </div>`;
+
+    $("#extensions_settings").append(settingsHtml);
+
+    $("#chub_find_count").val(extension_settings.chub.findCount).on("input", function () {
+        extension_settings.chub.findCount = clamp(parseInt(this.value) || defaultSettings.findCount, 1, 100);
+        saveSettingsDebounced();
+    });
+    $("#chub_default_sort").val(extension_settings.chub.defaultSort).on("change", function () {
+        extension_settings.chub.defaultSort = this.value;
+        saveSettingsDebounced();
+    });
+
+    const checkboxSettings = {
+        "#chub_sort_ascending": "sortAscending",
+        "#chub_include_forks": "includeForks",
+        "#chub_require_images": "requireImages",
+        "#chub_require_custom_prompt": "requireCustomPrompt",
+        "#chub_nsfw": "nsfw",
+        "#chub_infinite_scroll": "infiniteScroll",
+        "#chub_apply_import_tags": "applyImportTags",
+        "#chub_record_import_source": "recordImportSource",
+        "#chub_open_after_import": "openAfterImport",
+    };
+    for (const [selector, key] of Object.entries(checkboxSettings)) {
+        $(selector).prop("checked", extension_settings.chub[key]).on("change", function () {
+            extension_settings.chub[key] = this.checked;
+            saveSettingsDebounced();
+        });
+    }
+
+    $("#chub_cache_ttl").val(extension_settings.chub.cacheTtlMinutes).on("input", function () {
+        extension_settings.chub.cacheTtlMinutes = Math.max(0, Number(this.value) || 0);
+        saveSettingsDebounced();
+    });
+    $("#chub_cache_size").val(extension_settings.chub.cacheMaxSizeMb).on("input", function () {
+        extension_settings.chub.cacheMaxSizeMb = Math.max(1, Number(this.value) || 1);
+        saveSettingsDebounced();
+    });
+
+    $("#chub_infinite_scroll").on("change", updatePaginationControls);
+
+    // Open results are rendered again, so the new setting applies to them right away
+    const rerenderSensitiveResults = () => {
+        if (characterListContainer?.querySelector('.character-list-item')) {
+            updateCharacterListInView(getDisplayedCharacters());
+        }
+    };
+    $("#chub_sensitive_display").val(extension_settings.chub.sensitiveDisplay).on("change", function () {
+        extension_settings.chub.sensitiveDisplay = this.value;
+        saveSettingsDebounced();
+        rerenderSensitiveResults();
+    });
+    $("#chub_sensitive_tags").val(extension_settings.chub.sensitiveTags.join(', ')).on("change", function () {
+        extension_settings.chub.sensitiveTags = this.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        saveSettingsDebounced();
+        rerenderSensitiveResults();
+    });
+
+    $("#chub_import_tag_mapping")
+        .val(Object.entries(extension_settings.chub.importTagMapping).map(([from, to]) => `${from} = ${to}`).join('\n'))
+        .on("input", function () {
+            extension_settings.chub.importTagMapping = parseTagMapping(this.value);
+            saveSettingsDebounced();
+        });
+    $("#chub_import_tag_ignore").val(extension_settings.chub.importTagIgnore.join(', ')).on("input", function () {
+        extension_settings.chub.importTagIgnore = this.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        saveSettingsDebounced();
+    });
+
+    $("#chub_search_provider").val(getSearchProvider().id).on("change", function () {
+        extension_settings.chub.searchProvider = this.value;
+        saveSettingsDebounced();
+    });
+    const endpointSettings = {
+        "#chub_api_base_url": "apiBaseUrl",
+        "#chub_avatar_base_url": "avatarBaseUrl",
+        "#chub_local_index_url": "localIndexUrl",
+    };
+    for (const [selector, key] of Object.entries(endpointSettings)) {
+        $(selector).val(extension_settings.chub[key]).on("input", function () {
+            extension_settings.chub[key] = this.value.trim();
+            saveSettingsDebounced();
+        });
+    }
+    // Tags are loaded again from the new gateway
+    const forgetKnownTags = () => {
+        knownTags.clear();
+        knownTagsLoaded = false;
+    };
+    $("#chub_api_base_url").on("input", forgetKnownTags);
+    $("#chub_reset_endpoints").on("click", forgetKnownTags).on("click", function () {
+        extension_settings.chub.apiBaseUrl = DEFAULT_API_BASE_URL;
+        extension_settings.chub.avatarBaseUrl = DEFAULT_AVATAR_BASE_URL;
+        extension_settings.chub.searchProvider = defaultSettings.searchProvider;
+        $("#chub_api_base_url").val(DEFAULT_API_BASE_URL);
+        $("#chub_avatar_base_url").val(DEFAULT_AVATAR_BASE_URL);
+        $("#chub_search_provider").val(defaultSettings.searchProvider);
+        saveSettingsDebounced();
+    });
+
+    renderBlocklistSettings();
+    $("#chub_block_tag_add").on("click", function () {
+        addToBlocklist('tag', $("#chub_block_tag_input").val());
+        $("#chub_block_tag_input").val('');
+    });
+    $("#chub_block_author_add").on("click", function () {
+        addToBlocklist('author', $("#chub_block_author_input").val());
+        $("#chub_block_author_input").val('');
+    });
+    $(".chub-search-settings").on("click", ".chub-unblock-btn", function () {
+        removeFromBlocklist($(this).attr("data-kind"), $(this).attr("data-value"));
+    });
+
+    $("#chub_clear_cache").on("click", async function () {
+        try {
+            await clearCache();
+            toastr.success('CHUB cache cleared');
+        } catch (error) {
+            console.error('Error clearing cache:', error);
+            toastr.error('Failed to clear the CHUB cache');
+        }
+    });
+}
+
 /**
  * jQuery document-ready block:
  * - Fetches the HTML settings for an extension from a known endpoint and prepares a button for character search.
  * - The button, when clicked, triggers the `openSearchPopup` function.
- * - Finally, it loads any previously saved settings related to this extension.
+ * - Finally, it loads any previously saved settings related to this extension, adds the settings drawer, registers the slash commands and offers to resume
+ *   imports that were still queued when the page was closed.
  */
 jQuery(async () => {
     // put our button in between external_import_button and rm_button_group_chats in the form_character_search_form
@@ -653,5 +3914,17 @@ jQuery(async () => {
         openSearchPopup();
     });
 
-    loadSettings();
+    await loadSettings();
+    addSettingsPanel();
+    registerSlashCommands();
+
+    // Offer to resume imports that were interrupted by a reload
+    const interrupted = extension_settings.chub.importQueue;
+    if (Array.isArray(interrupted) && interrupted.length > 0) {
+        toastr.info(`${interrupted.length} CHUB import(s) were interrupted. Click to resume.`, 'CHUB Search', {
+            timeOut: 0,
+            extendedTimeOut: 0,
+            onclick: () => enqueueImports(interrupted),
+        });
+    }
 });
@@ -0,0 +1,174 @@
+// Builds the DOM of search results. Nothing here imports SillyTavern, so the rendering can be tested on its own.
+
+// Searchable content types, keyed by their gateway namespace
+export const CONTENT_NAMESPACES = {
+    "characters": "Characters",
+    "lorebooks": "Lorebooks",
+};
+
+// Shown while an avatar is loading, or when it can't be loaded
+export const PLACEHOLDER_AVATAR = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22100%22><rect width=%22100%22 height=%22100%22 fill=%22%23ccc%22/><text x=%2250%%22 y=%2250%%22 dominant-baseline=%22middle%22 text-anchor=%22middle%22 fill=%22%23666%22>No Image</text></svg>';
+
+/**
+ * Creates an element with the given class, text and attributes. Text is always set as text, never parsed as HTML.
+ * @param {string} tagName - The tag of the element.
+ * @param {Object} [options] - The element options.
+ * @param {string} [options.className] - The class attribute of the element.
+ * @param {string} [options.text] - The text content of the element.
+ * @param {Object<string, string>} [options.attributes] - Additional attributes of the element.
+ * @returns {HTMLElement} - The created element.
+ */
+export function createElement(tagName, { className, text, attributes } = {}) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    for (const [name, value] of Object.entries(attributes || {})) {
+        element.setAttribute(name, String(value));
+    }
+    return element;
+}
+
+/**
+ * Builds a chub.ai URL from path parts. Every segment is URL-encoded and dot segments are dropped, so a remote
+ * value can't change the host or the scheme of the link, or climb out of its section.
+ * @param {...string} parts - The path parts, which may contain slashes (e.g., a fullPath).
+ * @returns {string} - The chub.ai URL.
+ */
+export function buildChubUrl(...parts) {
+    const segments = parts.flatMap(part => String(part).split('/')).filter(segment => segment.length > 0 && segment !== '.' && segment !== '..');
+    return `https://chub.ai/${segments.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Checks that an image URL is safe to put into a thumbnail, allowing only web, blob and data image URLs.
+ * @param {string} url - The URL to check.
+ * @returns {string} - The URL if it is allowed, otherwise the placeholder avatar.
+ */
+export function sanitizeImageUrl(url) {
+    if (!url) return PLACEHOLDER_AVATAR;
+    if (url.startsWith('data:image/')) return url;
+
+    try {
+        const { protocol } = new URL(url);
+        return ['http:', 'https:', 'blob:'].includes(protocol) ? url : PLACEHOLDER_AVATAR;
+    } catch {
+        return PLACEHOLDER_AVATAR;
+    }
+}
+
+/**
+ * Generates the DOM structure for a character list item.
+ * All remote values are inserted as text or attribute values, and links are built by `buildChubUrl`.
+ * @param {Object} character - The character data object with properties like url, name, description, tags, and author.
+ * @param {number} index - The index of the character in the list.
+ * @param {Object} [status] - How the result relates to the user's library and settings.
+ * @param {boolean} [status.selected] - Whether the result is selected for batch import.
+ * @param {boolean} [status.inLibrary] - Whether the character is already in the library.
+ * @param {boolean} [status.favorite] - Whether the result is a favorite.
+ * @param {boolean} [status.followed] - Whether its author is followed.
+ * @param {Array<string>} [status.warnings] - The content warnings of the result.
+ * @param {string} [status.sensitiveDisplay] - "hide", "blur" or "show".
+ * @returns {HTMLElement} - Returns the element of the character list item.
+ */
+export function generateCharacterListItem(character, index, status = {}) {
+    // Defensive checks for character properties
+    const safeName = String(character.name || "Unknown Character");
+    const safeAuthor = String(character.author || "Unknown");
+    const safeDescription = String(character.description || "No description available");
+    const safeTags = Array.isArray(character.tags) ? character.tags.map(String) : [];
+    const safeFullPath = String(character.fullPath || "");
+    const safeId = String(character.id || "");
+    const safeNamespace = Object.hasOwn(CONTENT_NAMESPACES, character.namespace) ? character.namespace : "characters";
+    const inLibrary = safeNamespace === 'characters' && Boolean(status.inLibrary);
+
+    const item = createElement('div', { className: 'character-list-item', attributes: { 'data-index': index } });
+    const warnings = Array.isArray(status.warnings) ? status.warnings.map(String) : [];
+    const sensitiveDisplay = status.sensitiveDisplay || 'show';
+    item.classList.toggle('sensitive-blurred', sensitiveDisplay === 'blur');
+    item.classList.toggle('displayNone', sensitiveDisplay === 'hide');
+
+    const checkbox = createElement('input', {
+        className: 'select-checkbox',
+        attributes: { type: 'checkbox', 'data-path': safeFullPath, 'data-namespace': safeNamespace, title: 'Select for batch import' },
+    });
+    checkbox.checked = Boolean(status.selected);
+
+    const thumbnail = createElement('img', { className: 'thumbnail', attributes: { src: sanitizeImageUrl(character.url) } });
+    if (!character.url) {
+        thumbnail.setAttribute('data-pending', '');
+    }
+    thumbnail.addEventListener('error', () => {
+        if (thumbnail.src !== PLACEHOLDER_AVATAR) {
+            thumbnail.src = PLACEHOLDER_AVATAR;
+        }
+    });
+
+    const info = createElement('div', { className: 'info' });
+
+    const name = createElement('div', { className: 'name' });
+    const nameLink = createElement('a', { text: safeName, attributes: { href: buildChubUrl(safeNamespace, safeFullPath), target: '_blank', rel: 'noopener noreferrer' } });
+    const authorLink = createElement('a', {
+        className: 'author-link',
+        attributes: { href: buildChubUrl('users', safeAuthor), target: '_blank', rel: 'noopener noreferrer', 'data-author': safeAuthor, title: 'Show cards by this author, Ctrl+click to open their CHUB page' },
+    });
+    authorLink.append(createElement('span', { className: 'author', text: `by ${safeAuthor}` }));
+    const followed = Boolean(status.followed);
+    const followAuthor = createElement('i', {
+        className: `fa-solid ${followed ? 'fa-user-check' : 'fa-user-plus'} follow-btn`,
+        attributes: { 'data-author': safeAuthor, title: followed ? 'Unfollow this author' : 'Follow this author' },
+    });
+    const blockAuthor = createElement('i', {
+        className: 'fa-solid fa-ban block-btn',
+        attributes: { 'data-kind': 'author', 'data-value': safeAuthor, title: 'Block this author' },
+    });
+    name.append(nameLink, ' ', authorLink, followAuthor, blockAuthor);
+
+    const badge = createElement('span', {
+        className: `library-badge${inLibrary ? '' : ' displayNone'}`,
+        text: 'In library',
+        attributes: { title: 'This character is already in your library' },
+    });
+
+    const description = createElement('div', { className: 'description', text: safeDescription });
+
+    const warningLabels = createElement('div', { className: `content-warnings${warnings.length > 0 ? '' : ' displayNone'}` });
+    for (const warning of warnings) {
+        const label = createElement('span', { className: 'content-warning', text: warning, attributes: { title: 'Content warning' } });
+        label.prepend(createElement('i', { className: 'fa-solid fa-triangle-exclamation' }), ' ');
+        warningLabels.append(label);
+    }
+
+    const tags = createElement('div', { className: 'tags' });
+    for (const tag of safeTags) {
+        const tagElement = createElement('span', {
+            className: 'tag',
+            text: tag,
+            attributes: { 'data-tag': tag, title: 'Click to include, Ctrl+click to exclude' },
+        });
+        tagElement.append(createElement('i', {
+            className: 'fa-solid fa-ban block-btn',
+            attributes: { 'data-kind': 'tag', 'data-value': tag, title: 'Block this tag' },
+        }));
+        tags.append(tagElement);
+    }
+
+    info.append(name, badge, warningLabels, description, tags);
+
+    const favorite = createElement('i', {
+        className: `${status.favorite ? 'fa-solid' : 'fa-regular'} fa-star favorite-btn`,
+        attributes: { 'data-path': safeFullPath, title: 'Toggle favorite' },
+    });
+
+    const saveButton = createElement('div', {
+        className: 'menu_button save-btn fa-solid fa-file-arrow-down faSmallFontSquareFix',
+        attributes: { 'data-path': safeFullPath, 'data-namespace': safeNamespace, title: 'Save card file' },
+    });
+
+    const downloadButton = createElement('div', {
+        className: 'menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix',
+        attributes: { 'data-path': safeFullPath, 'data-id': safeId, 'data-namespace': safeNamespace, title: 'Import' },
+    });
+
+    item.append(checkbox, thumbnail, info, favorite, saveButton, downloadButton);
+    return item;
+}
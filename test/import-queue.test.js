@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IMPORT_STATUS, addToImportQueue } from '../import-queue.js';
+
+test('a new entry is queued as pending with its defaults', () => {
+    const queue = [];
+
+    assert.equal(addToImportQueue(queue, { fullPath: 'someone/test' }), true);
+    assert.deepEqual(queue, [{
+        fullPath: 'someone/test',
+        name: 'someone/test',
+        namespace: 'characters',
+        id: null,
+        replaceAvatar: null,
+        lastActivityAt: null,
+        status: IMPORT_STATUS.PENDING,
+        error: null,
+    }]);
+});
+
+test('entries without a fullPath are ignored', () => {
+    const queue = [];
+
+    assert.equal(addToImportQueue(queue, null), false);
+    assert.equal(addToImportQueue(queue, { name: 'Test' }), false);
+    assert.equal(queue.length, 0);
+});
+
+test('an entry that is waiting or importing is not queued twice', () => {
+    for (const status of [IMPORT_STATUS.PENDING, IMPORT_STATUS.IMPORTING]) {
+        const queue = [];
+        addToImportQueue(queue, { fullPath: 'someone/test' });
+        queue[0].status = status;
+
+        assert.equal(addToImportQueue(queue, { fullPath: 'someone/test', replaceAvatar: 'test.png' }), false);
+        assert.equal(queue.length, 1);
+        assert.equal(queue[0].status, status);
+        assert.equal(queue[0].replaceAvatar, null);
+    }
+});
+
+test('re-queueing a done entry as a replace replaces the character', () => {
+    const queue = [];
+    addToImportQueue(queue, { fullPath: 'someone/test', name: 'Test', id: 1 });
+    queue[0].status = IMPORT_STATUS.DONE;
+
+    assert.equal(addToImportQueue(queue, { fullPath: 'someone/test', replaceAvatar: 'test.png', lastActivityAt: '2026-10-01T00:00:00Z' }), true);
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].status, IMPORT_STATUS.PENDING);
+    assert.equal(queue[0].replaceAvatar, 'test.png');
+    assert.equal(queue[0].lastActivityAt, '2026-10-01T00:00:00Z');
+    assert.equal(queue[0].name, 'Test');
+    assert.equal(queue[0].id, 1);
+});
+
+test('re-queueing a failed replace as a copy no longer overwrites the character', () => {
+    const queue = [];
+    addToImportQueue(queue, { fullPath: 'someone/test', replaceAvatar: 'test.png', lastActivityAt: '2026-09-01T00:00:00Z' });
+    queue[0].status = IMPORT_STATUS.FAILED;
+    queue[0].error = 'Download failed';
+
+    assert.equal(addToImportQueue(queue, { fullPath: 'someone/test', id: 2, name: 'Renamed' }), true);
+    assert.equal(queue[0].replaceAvatar, null);
+    assert.equal(queue[0].lastActivityAt, null);
+    assert.equal(queue[0].error, null);
+    assert.equal(queue[0].id, 2);
+    assert.equal(queue[0].name, 'Renamed');
+});
+
+test('re-importing an update of a card queued earlier replaces it and records the new activity', () => {
+    const queue = [];
+    addToImportQueue(queue, { fullPath: 'someone/test', name: 'Test', lastActivityAt: '2026-09-01T00:00:00Z' });
+    queue[0].status = IMPORT_STATUS.DONE;
+
+    // The entry built by the "Re-import" button of the updates pane
+    const record = { fullPath: 'someone/test', namespace: 'characters', id: 1, name: 'Test', lastActivityAt: '2026-09-01T00:00:00Z', remoteActivityAt: '2026-10-01T00:00:00Z' };
+    assert.equal(addToImportQueue(queue, { ...record, lastActivityAt: record.remoteActivityAt, replaceAvatar: 'test.png' }), true);
+
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].replaceAvatar, 'test.png');
+    assert.equal(queue[0].lastActivityAt, '2026-10-01T00:00:00Z');
+});
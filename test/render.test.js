@@ -0,0 +1,126 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { PLACEHOLDER_AVATAR, createElement, buildChubUrl, sanitizeImageUrl, generateCharacterListItem } from '../render.js';
+
+const XSS = '<img src=x onerror="window.pwned = true">';
+
+before(() => {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+    globalThis.window = window;
+    globalThis.document = window.document;
+});
+
+/**
+ * Asserts that a rendered item contains nothing but the elements it builds itself, and that its links and
+ * images stay on https, blob or data image URLs.
+ * @param {HTMLElement} item - The rendered item.
+ */
+function assertSafe(item) {
+    assert.equal(item.querySelectorAll('script, iframe, object, embed, svg').length, 0, 'no active content is injected');
+    assert.equal(item.querySelectorAll('img').length, 1, 'only the thumbnail image is rendered');
+
+    for (const element of [item, ...item.querySelectorAll('*')]) {
+        for (const { name } of element.attributes) {
+            assert.ok(!name.toLowerCase().startsWith('on'), `${element.tagName} has no ${name} handler`);
+        }
+    }
+
+    for (const link of item.querySelectorAll('[href]')) {
+        const url = new URL(link.getAttribute('href'));
+        assert.equal(url.protocol, 'https:');
+        assert.equal(url.host, 'chub.ai');
+    }
+
+    for (const image of item.querySelectorAll('[src]')) {
+        assert.match(image.getAttribute('src'), /^(https:|blob:|data:image\/)/);
+    }
+}
+
+test('names, authors, taglines and descriptions are rendered as text', () => {
+    const item = generateCharacterListItem({
+        name: XSS,
+        author: XSS,
+        tagline: XSS,
+        description: XSS,
+        fullPath: 'someone/character',
+        url: 'https://avatars.charhub.io/avatars/someone/character/avatar.webp',
+        tags: [],
+    }, 0);
+
+    assertSafe(item);
+    assert.equal(item.querySelector('.name a').textContent, XSS);
+    assert.equal(item.querySelector('.author').textContent, `by ${XSS}`);
+    assert.equal(item.querySelector('.description').textContent, XSS);
+    assert.equal(item.querySelector('.author-link').getAttribute('data-author'), XSS);
+});
+
+test('a hostile fullPath stays inside its chub.ai section', () => {
+    for (const fullPath of ['javascript:alert(1)', '../../../settings', '//evil.example/x', 'a/./../b" onclick="alert(1)']) {
+        const item = generateCharacterListItem({ name: 'Test', author: 'someone', fullPath, tags: [] }, 0);
+
+        assertSafe(item);
+        const { pathname } = new URL(item.querySelector('.name a').getAttribute('href'));
+        assert.ok(pathname.startsWith('/characters/'), `${fullPath} gives ${pathname}`);
+        assert.equal(item.querySelector('.download-btn').getAttribute('data-path'), fullPath);
+    }
+});
+
+test('script and HTML avatars are replaced by the placeholder', () => {
+    for (const url of ['data:text/html,<script>alert(1)</script>', 'javascript:alert(1)', 'vbscript:msgbox(1)', 'not a url']) {
+        const item = generateCharacterListItem({ name: 'Test', fullPath: 'someone/test', url, tags: [] }, 0);
+
+        assertSafe(item);
+        assert.equal(item.querySelector('.thumbnail').getAttribute('src'), PLACEHOLDER_AVATAR);
+    }
+});
+
+test('tags with quotes and angle brackets are rendered as text and attribute values', () => {
+    const tag = `"><script>alert(1)</script><b a="`;
+    const item = generateCharacterListItem({ name: 'Test', fullPath: 'someone/test', tags: [tag, XSS] }, 0, {
+        warnings: [XSS],
+        sensitiveDisplay: 'blur',
+    });
+
+    assertSafe(item);
+    const tagElements = item.querySelectorAll('.tags .tag');
+    assert.equal(tagElements.length, 2);
+    assert.equal(tagElements[0].textContent, tag);
+    assert.equal(tagElements[0].getAttribute('data-tag'), tag);
+    assert.equal(tagElements[0].querySelector('.block-btn').getAttribute('data-value'), tag);
+    assert.equal(item.querySelector('.content-warning').textContent.trim(), XSS);
+    assert.ok(item.classList.contains('sensitive-blurred'));
+});
+
+test('an unknown namespace falls back to characters', () => {
+    const item = generateCharacterListItem({ name: 'Test', fullPath: 'someone/test', namespace: '__proto__', tags: [] }, 0, { inLibrary: true });
+
+    assertSafe(item);
+    assert.equal(item.querySelector('.name a').getAttribute('href'), 'https://chub.ai/characters/someone/test');
+    assert.equal(item.querySelector('.download-btn').getAttribute('data-namespace'), 'characters');
+    assert.ok(!item.querySelector('.library-badge').classList.contains('displayNone'));
+});
+
+test('buildChubUrl encodes every segment and drops dot segments', () => {
+    assert.equal(buildChubUrl('users', 'a b'), 'https://chub.ai/users/a%20b');
+    assert.equal(buildChubUrl('characters', '../x/./y'), 'https://chub.ai/characters/x/y');
+    assert.equal(buildChubUrl('characters', 'javascript:alert(1)?#'), 'https://chub.ai/characters/javascript%3Aalert(1)%3F%23');
+});
+
+test('sanitizeImageUrl allows only web, blob and data image URLs', () => {
+    assert.equal(sanitizeImageUrl('https://example.com/a.png'), 'https://example.com/a.png');
+    assert.equal(sanitizeImageUrl('blob:https://example.com/1234'), 'blob:https://example.com/1234');
+    assert.equal(sanitizeImageUrl('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+    assert.equal(sanitizeImageUrl('data:text/html,<b>'), PLACEHOLDER_AVATAR);
+    assert.equal(sanitizeImageUrl('javascript:alert(1)'), PLACEHOLDER_AVATAR);
+    assert.equal(sanitizeImageUrl(''), PLACEHOLDER_AVATAR);
+});
+
+test('createElement sets text without parsing it', () => {
+    const element = createElement('div', { className: 'x', text: XSS, attributes: { title: XSS } });
+
+    assert.equal(element.children.length, 0);
+    assert.equal(element.textContent, XSS);
+    assert.equal(element.getAttribute('title'), XSS);
+});